@@ -54,6 +54,18 @@ export class ByteCodeContainer {
   }
 
 
+  /*
+    This stores the block type for a control structure (block, loop, if) that produces the given node's runType.
+    A block that produces several values refers to a function signature instead, which is registered during validation.
+  */
+  blockType (node) {
+    if (node.runType[0] === "(") {
+      return this.bytes(LEB(node.blockTypeIndex), "block_type", node.runType);
+    }
+    return this.byte(node.runType, "block_type");
+  }
+
+
   /*
     This finishes encoding the current section (by recording the payload size, if necessary) and returns the section's parent.
   */
@@ -131,14 +143,22 @@ export class ByteCodeContainer {
     This encodes record a numeric literal of the provided runType.
   */
   literal (runType, value, field) {
-    if (runType === "i32" || runType === "i64") {
+    if (runType === "i32") {
       // The limits for integer literals have already been checked during the validation stage,
-      //  so we can just use LEB here with no size limits and trust that we get any acceptable sequence for both i32 and i64 values.
+      //  so we can just use LEB here with no size limits and trust that we get any acceptable sequence.
       this.bytes(LEB(value), field, value);
+    } else if (runType === "i64") {
+      // i64 literals are BigInts (see /compiler/validation.js), but other i64 constants (like the 1 in x++) may be plain numbers.
+      // Unsigned values above the signed range are wrapped around into it, so they get the right two's complement bit pattern.
+      this.bytes(bigLEB(BigInt.asIntN(64, BigInt(value))), field, value);
     } else if (runType === "f32") {
       this.bytes(f32(value), field, value);
     } else if (runType === "f64") {
       this.bytes(f64(value), field, value);
+    } else if (runType === "v128") {
+      // Vector constants are worked out lane by lane during validation, so the value is already a list of 16 bytes
+      //  (see laneBytes() in /compiler/validation.js).
+      this.bytes(value, field, `[${value.join(", ")}]`);
     }
     return this;
   }
@@ -148,6 +168,13 @@ export class ByteCodeContainer {
     This is a convenience method for enoding bytecode operators.
   */
   op (code) {
+    let prefixed = prefixedOpCodes[code];
+    if (prefixed !== undefined) {
+      // Some newer instructions are encoded as a prefix byte followed by a varuint that picks the instruction within that prefix's group.
+      return this
+        .byte(prefixed.prefix, "op_prefix")
+        .bytes(uLEB(prefixed.index), "op", code);
+    }
     return this.byte(code, "op");
   }
 
@@ -176,13 +203,15 @@ export class ByteCodeContainer {
     This encodes a size limits specification, featuring an initial and (optional) maximum size.
   */
   resizableLimits (definition) {
+    // The "flags" field indicates whether or not a maximum size is present (1), and whether or not a memory is shared between threads (2).
+    let shared = definition.shared ? 2 : 0;
     if (definition.maxSize.ASType === VOID) {
       this
-        .varuint(0, "flags")  // Presently, the only use for the "flags" field is to indicate whether or not a maximum size is present.
+        .varuint(shared, "flags")
         .varuint(definition.initialSize.meta.value, "initial");
     } else {
       this
-        .varuint(1, "flags")
+        .varuint(1 | shared, "flags")
         .varuint(definition.initialSize.meta.value, "initial")
         .varuint(definition.maxSize.meta.value, "maximum");
     }
@@ -347,6 +376,24 @@ function LEB (number, buffer = []) {
 }
 
 
+/*
+  This implements signed LEB128 encoding for BigInts, which don't have the range limitations of the function above.
+*/
+function bigLEB (number, buffer = []) {
+  let byte = Number(number & 0b01111111n);
+  let signBit = byte & 0b01000000;
+  number = number >> 7n;
+
+  if ((number === 0n && signBit === 0) || (number === -1n && signBit !== 0)) {
+    buffer.push(byte);
+    return buffer;
+  } else {
+    buffer.push(byte | 0b10000000);
+    return bigLEB(number, buffer);
+  }
+}
+
+
 /*
   This implements unsigned LEB128 encoding for integers.
     LEB128 is a variable-length format. See https://en.wikipedia.org/wiki/LEB128 for more information.
@@ -382,6 +429,7 @@ const codeTable = {
   "i64": 0x7e,
   "f32": 0x7d,
   "f64": 0x7c,
+  "v128": 0x7b,
   "anyfunc": 0x70,
   "func": 0x60,
   "void": 0x40,
@@ -396,12 +444,19 @@ const codeTable = {
   "section.element": 0x09,
   "section.code": 0x0a,
   "section.data": 0x0b,
+  "section.data_count": 0x0c,
+  "section.tag": 0x0d,
   "external_kind.function": 0x00,
   "external_kind.table": 0x01,
   "external_kind.memory": 0x02,
   "external_kind.global": 0x03,
+  "external_kind.tag": 0x04,
   "global.immutable": 0x00,
-  "global.mutable": 0x01
+  "global.mutable": 0x01,
+  "tag.exception": 0x00,
+  "prefix.misc": 0xfc,
+  "prefix.simd": 0xfd,
+  "prefix.atomic": 0xfe
 };
 
 
@@ -415,7 +470,27 @@ const codeTable = {
   This is a consecutive list of the entire range of instruction codes (with nulls in place of unused/reserved spaces).
   The codeTable is populated by assigning 0x00 to "unreachable", 0x01 to "nop", and so on (skipping the unused slots).
 */
-const opCodes = ["unreachable", "nop", "block", "loop", "if", "else", null,  null,  null,  null,  null,  "end", "br", "br_if", "br_table", "return", "call", "call_indirect", null,  null,  null,  null,  null,  null,  null,  null,  "drop", "select", null,  null,  null,  null, "get_local", "set_local", "tee_local", "get_global", "set_global", null,  null,  null, "i32.load", "i64.load", "f32.load", "f64.load", "i32.load8_s", "i32.load8_u", "i32.load16_s", "i32.load16_u", "i64.load8_s", "i64.load8_u", "i64.load16_s", "i64.load16_u", "i64.load32_s", "i64.load32_u", "i32.store", "i64.store", "f32.store", "f64.store", "i32.store8", "i32.store16", "i64.store8", "i64.store16", "i64.store32", "current_memory", "grow_memory", "i32.const", "i64.const", "f32.const", "f64.const", "i32.eqz", "i32.eq", "i32.ne", "i32.lt_s", "i32.lt_u", "i32.gt_s", "i32.gt_u", "i32.le_s", "i32.le_u", "i32.ge_s", "i32.ge_u", "i64.eqz", "i64.eq", "i64.ne", "i64.lt_s", "i64.lt_u", "i64.gt_s", "i64.gt_u", "i64.le_s", "i64.le_u", "i64.ge_s", "i64.ge_u", "f32.eq", "f32.ne", "f32.lt", "f32.gt", "f32.le", "f32.ge", "f64.eq", "f64.ne", "f64.lt", "f64.gt", "f64.le", "f64.ge", "i32.clz", "i32.ctz", "i32.popcnt", "i32.add", "i32.sub", "i32.mul", "i32.div_s", "i32.div_u", "i32.rem_s", "i32.rem_u", "i32.and", "i32.or", "i32.xor", "i32.shl", "i32.shr_s", "i32.shr_u", "i32.rotl", "i32.rotr", "i64.clz", "i64.ctz", "i64.popcnt", "i64.add", "i64.sub", "i64.mul", "i64.div_s", "i64.div_u", "i64.rem_s", "i64.rem_u", "i64.and", "i64.or", "i64.xor", "i64.shl", "i64.shr_s", "i64.shr_u", "i64.rotl", "i64.rotr", "f32.abs", "f32.neg", "f32.ceil", "f32.floor", "f32.trunc", "f32.nearest", "f32.sqrt", "f32.add", "f32.sub", "f32.mul", "f32.div", "f32.min", "f32.max", "f32.copysign", "f64.abs", "f64.neg", "f64.ceil", "f64.floor", "f64.trunc", "f64.nearest", "f64.sqrt", "f64.add", "f64.sub", "f64.mul", "f64.div", "f64.min", "f64.max", "f64.copysign", "i32.wrap/i64", "i32.trunc_s/f32", "i32.trunc_u/f32", "i32.trunc_s/f64", "i32.trunc_u/f64", "i64.extend_s/i32", "i64.extend_u/i32", "i64.trunc_s/f32", "i64.trunc_u/f32", "i64.trunc_s/f64", "i64.trunc_u/f64", "f32.convert_s/i32", "f32.convert_u/i32", "f32.convert_s/i64", "f32.convert_u/i64", "f32.demote/f64", "f64.convert_s/i32", "f64.convert_u/i32", "f64.convert_s/i64", "f64.convert_u/i64", "f64.promote/f32", "i32.reinterpret/f32", "i64.reinterpret/f64", "f32.reinterpret/i32", "f64.reinterpret/i64"];
+const opCodes = ["unreachable", "nop", "block", "loop", "if", "else", "try", "catch", "throw", null,  null,  "end", "br", "br_if", "br_table", "return", "call", "call_indirect", "return_call", "return_call_indirect", null,  null,  null,  null,  null,  null,  "drop", "select", null,  null,  null,  null, "get_local", "set_local", "tee_local", "get_global", "set_global", "table.get", "table.set", null, "i32.load", "i64.load", "f32.load", "f64.load", "i32.load8_s", "i32.load8_u", "i32.load16_s", "i32.load16_u", "i64.load8_s", "i64.load8_u", "i64.load16_s", "i64.load16_u", "i64.load32_s", "i64.load32_u", "i32.store", "i64.store", "f32.store", "f64.store", "i32.store8", "i32.store16", "i64.store8", "i64.store16", "i64.store32", "current_memory", "grow_memory", "i32.const", "i64.const", "f32.const", "f64.const", "i32.eqz", "i32.eq", "i32.ne", "i32.lt_s", "i32.lt_u", "i32.gt_s", "i32.gt_u", "i32.le_s", "i32.le_u", "i32.ge_s", "i32.ge_u", "i64.eqz", "i64.eq", "i64.ne", "i64.lt_s", "i64.lt_u", "i64.gt_s", "i64.gt_u", "i64.le_s", "i64.le_u", "i64.ge_s", "i64.ge_u", "f32.eq", "f32.ne", "f32.lt", "f32.gt", "f32.le", "f32.ge", "f64.eq", "f64.ne", "f64.lt", "f64.gt", "f64.le", "f64.ge", "i32.clz", "i32.ctz", "i32.popcnt", "i32.add", "i32.sub", "i32.mul", "i32.div_s", "i32.div_u", "i32.rem_s", "i32.rem_u", "i32.and", "i32.or", "i32.xor", "i32.shl", "i32.shr_s", "i32.shr_u", "i32.rotl", "i32.rotr", "i64.clz", "i64.ctz", "i64.popcnt", "i64.add", "i64.sub", "i64.mul", "i64.div_s", "i64.div_u", "i64.rem_s", "i64.rem_u", "i64.and", "i64.or", "i64.xor", "i64.shl", "i64.shr_s", "i64.shr_u", "i64.rotl", "i64.rotr", "f32.abs", "f32.neg", "f32.ceil", "f32.floor", "f32.trunc", "f32.nearest", "f32.sqrt", "f32.add", "f32.sub", "f32.mul", "f32.div", "f32.min", "f32.max", "f32.copysign", "f64.abs", "f64.neg", "f64.ceil", "f64.floor", "f64.trunc", "f64.nearest", "f64.sqrt", "f64.add", "f64.sub", "f64.mul", "f64.div", "f64.min", "f64.max", "f64.copysign", "i32.wrap/i64", "i32.trunc_s/f32", "i32.trunc_u/f32", "i32.trunc_s/f64", "i32.trunc_u/f64", "i64.extend_s/i32", "i64.extend_u/i32", "i64.trunc_s/f32", "i64.trunc_u/f32", "i64.trunc_s/f64", "i64.trunc_u/f64", "f32.convert_s/i32", "f32.convert_u/i32", "f32.convert_s/i64", "f32.convert_u/i64", "f32.demote/f64", "f64.convert_s/i32", "f64.convert_u/i32", "f64.convert_s/i64", "f64.convert_u/i64", "f64.promote/f32", "i32.reinterpret/f32", "i64.reinterpret/f64", "f32.reinterpret/i32", "f64.reinterpret/i64", "i32.extend8_s", "i32.extend16_s", "i64.extend8_s", "i64.extend16_s", "i64.extend32_s", null, null, null, null, null, null, null, null, null, null, null, "ref.null", "ref.is_null", "ref.func"];
+
+/*
+  Instructions added after the MVP ran out of single-byte codes, so they're grouped behind prefix bytes.
+  This is a consecutive list of the instructions behind the "misc" (0xfc) prefix, in the same format as the opCodes list above.
+*/
+const miscOpCodes = ["i32.trunc_sat_s/f32", "i32.trunc_sat_u/f32", "i32.trunc_sat_s/f64", "i32.trunc_sat_u/f64", "i64.trunc_sat_s/f32", "i64.trunc_sat_u/f32", "i64.trunc_sat_s/f64", "i64.trunc_sat_u/f64", "memory.init", "data.drop", "memory.copy", "memory.fill", "table.init", "elem.drop", "table.copy", "table.grow", "table.size", "table.fill"];
+
+
+/*
+  This is a consecutive list of the instructions behind the "simd" (0xfd) prefix, which work on 128-bit vectors (runType "v128").
+  See https://github.com/WebAssembly/spec/blob/main/proposals/simd/BinarySIMD.md for the full details.
+*/
+const simdOpCodes = ["v128.load", "v128.load8x8_s", "v128.load8x8_u", "v128.load16x4_s", "v128.load16x4_u", "v128.load32x2_s", "v128.load32x2_u", "v128.load8_splat", "v128.load16_splat", "v128.load32_splat", "v128.load64_splat", "v128.store", "v128.const", "i8x16.shuffle", "i8x16.swizzle", "i8x16.splat", "i16x8.splat", "i32x4.splat", "i64x2.splat", "f32x4.splat", "f64x2.splat", "i8x16.extract_lane_s", "i8x16.extract_lane_u", "i8x16.replace_lane", "i16x8.extract_lane_s", "i16x8.extract_lane_u", "i16x8.replace_lane", "i32x4.extract_lane", "i32x4.replace_lane", "i64x2.extract_lane", "i64x2.replace_lane", "f32x4.extract_lane", "f32x4.replace_lane", "f64x2.extract_lane", "f64x2.replace_lane", "i8x16.eq", "i8x16.ne", "i8x16.lt_s", "i8x16.lt_u", "i8x16.gt_s", "i8x16.gt_u", "i8x16.le_s", "i8x16.le_u", "i8x16.ge_s", "i8x16.ge_u", "i16x8.eq", "i16x8.ne", "i16x8.lt_s", "i16x8.lt_u", "i16x8.gt_s", "i16x8.gt_u", "i16x8.le_s", "i16x8.le_u", "i16x8.ge_s", "i16x8.ge_u", "i32x4.eq", "i32x4.ne", "i32x4.lt_s", "i32x4.lt_u", "i32x4.gt_s", "i32x4.gt_u", "i32x4.le_s", "i32x4.le_u", "i32x4.ge_s", "i32x4.ge_u", "f32x4.eq", "f32x4.ne", "f32x4.lt", "f32x4.gt", "f32x4.le", "f32x4.ge", "f64x2.eq", "f64x2.ne", "f64x2.lt", "f64x2.gt", "f64x2.le", "f64x2.ge", "v128.not", "v128.and", "v128.andnot", "v128.or", "v128.xor", "v128.bitselect", "v128.any_true", "v128.load8_lane", "v128.load16_lane", "v128.load32_lane", "v128.load64_lane", "v128.store8_lane", "v128.store16_lane", "v128.store32_lane", "v128.store64_lane", "v128.load32_zero", "v128.load64_zero", "f32x4.demote_f64x2_zero", "f64x2.promote_low_f32x4", "i8x16.abs", "i8x16.neg", "i8x16.popcnt", "i8x16.all_true", "i8x16.bitmask", "i8x16.narrow_i16x8_s", "i8x16.narrow_i16x8_u", "f32x4.ceil", "f32x4.floor", "f32x4.trunc", "f32x4.nearest", "i8x16.shl", "i8x16.shr_s", "i8x16.shr_u", "i8x16.add", "i8x16.add_sat_s", "i8x16.add_sat_u", "i8x16.sub", "i8x16.sub_sat_s", "i8x16.sub_sat_u", "f64x2.ceil", "f64x2.floor", "i8x16.min_s", "i8x16.min_u", "i8x16.max_s", "i8x16.max_u", "f64x2.trunc", "i8x16.avgr_u", "i16x8.extadd_pairwise_i8x16_s", "i16x8.extadd_pairwise_i8x16_u", "i32x4.extadd_pairwise_i16x8_s", "i32x4.extadd_pairwise_i16x8_u", "i16x8.abs", "i16x8.neg", "i16x8.q15mulr_sat_s", "i16x8.all_true", "i16x8.bitmask", "i16x8.narrow_i32x4_s", "i16x8.narrow_i32x4_u", "i16x8.extend_low_i8x16_s", "i16x8.extend_high_i8x16_s", "i16x8.extend_low_i8x16_u", "i16x8.extend_high_i8x16_u", "i16x8.shl", "i16x8.shr_s", "i16x8.shr_u", "i16x8.add", "i16x8.add_sat_s", "i16x8.add_sat_u", "i16x8.sub", "i16x8.sub_sat_s", "i16x8.sub_sat_u", "f64x2.nearest", "i16x8.mul", "i16x8.min_s", "i16x8.min_u", "i16x8.max_s", "i16x8.max_u", null, "i16x8.avgr_u", "i16x8.extmul_low_i8x16_s", "i16x8.extmul_high_i8x16_s", "i16x8.extmul_low_i8x16_u", "i16x8.extmul_high_i8x16_u", "i32x4.abs", "i32x4.neg", null, "i32x4.all_true", "i32x4.bitmask", null, null, "i32x4.extend_low_i16x8_s", "i32x4.extend_high_i16x8_s", "i32x4.extend_low_i16x8_u", "i32x4.extend_high_i16x8_u", "i32x4.shl", "i32x4.shr_s", "i32x4.shr_u", "i32x4.add", null, null, "i32x4.sub", null, null, null, "i32x4.mul", "i32x4.min_s", "i32x4.min_u", "i32x4.max_s", "i32x4.max_u", "i32x4.dot_i16x8_s", null, "i32x4.extmul_low_i16x8_s", "i32x4.extmul_high_i16x8_s", "i32x4.extmul_low_i16x8_u", "i32x4.extmul_high_i16x8_u", "i64x2.abs", "i64x2.neg", null, "i64x2.all_true", "i64x2.bitmask", null, null, "i64x2.extend_low_i32x4_s", "i64x2.extend_high_i32x4_s", "i64x2.extend_low_i32x4_u", "i64x2.extend_high_i32x4_u", "i64x2.shl", "i64x2.shr_s", "i64x2.shr_u", "i64x2.add", null, null, "i64x2.sub", null, null, null, "i64x2.mul", "i64x2.eq", "i64x2.ne", "i64x2.lt_s", "i64x2.gt_s", "i64x2.le_s", "i64x2.ge_s", "i64x2.extmul_low_i32x4_s", "i64x2.extmul_high_i32x4_s", "i64x2.extmul_low_i32x4_u", "i64x2.extmul_high_i32x4_u", "f32x4.abs", "f32x4.neg", null, "f32x4.sqrt", "f32x4.add", "f32x4.sub", "f32x4.mul", "f32x4.div", "f32x4.min", "f32x4.max", "f32x4.pmin", "f32x4.pmax", "f64x2.abs", "f64x2.neg", null, "f64x2.sqrt", "f64x2.add", "f64x2.sub", "f64x2.mul", "f64x2.div", "f64x2.min", "f64x2.max", "f64x2.pmin", "f64x2.pmax", "i32x4.trunc_sat_f32x4_s", "i32x4.trunc_sat_f32x4_u", "f32x4.convert_i32x4_s", "f32x4.convert_i32x4_u", "i32x4.trunc_sat_f64x2_s_zero", "i32x4.trunc_sat_f64x2_u_zero", "f64x2.convert_low_i32x4_s", "f64x2.convert_low_i32x4_u"];
+
+
+/*
+  This is a consecutive list of the instructions behind the "atomic" (0xfe) prefix, which access memory atomically, for use with shared memory.
+  The rmw (read-modify-write) instructions store a new value and return the old one, all in one indivisible step.
+*/
+const atomicOpCodes = ["memory.atomic.notify", "memory.atomic.wait32", "memory.atomic.wait64", "atomic.fence", null, null, null, null, null, null, null, null, null, null, null, null, "i32.atomic.load", "i64.atomic.load", "i32.atomic.load8_u", "i32.atomic.load16_u", "i64.atomic.load8_u", "i64.atomic.load16_u", "i64.atomic.load32_u", "i32.atomic.store", "i64.atomic.store", "i32.atomic.store8", "i32.atomic.store16", "i64.atomic.store8", "i64.atomic.store16", "i64.atomic.store32", "i32.atomic.rmw.add", "i64.atomic.rmw.add", "i32.atomic.rmw8.add_u", "i32.atomic.rmw16.add_u", "i64.atomic.rmw8.add_u", "i64.atomic.rmw16.add_u", "i64.atomic.rmw32.add_u", "i32.atomic.rmw.sub", "i64.atomic.rmw.sub", "i32.atomic.rmw8.sub_u", "i32.atomic.rmw16.sub_u", "i64.atomic.rmw8.sub_u", "i64.atomic.rmw16.sub_u", "i64.atomic.rmw32.sub_u", "i32.atomic.rmw.and", "i64.atomic.rmw.and", "i32.atomic.rmw8.and_u", "i32.atomic.rmw16.and_u", "i64.atomic.rmw8.and_u", "i64.atomic.rmw16.and_u", "i64.atomic.rmw32.and_u", "i32.atomic.rmw.or", "i64.atomic.rmw.or", "i32.atomic.rmw8.or_u", "i32.atomic.rmw16.or_u", "i64.atomic.rmw8.or_u", "i64.atomic.rmw16.or_u", "i64.atomic.rmw32.or_u", "i32.atomic.rmw.xor", "i64.atomic.rmw.xor", "i32.atomic.rmw8.xor_u", "i32.atomic.rmw16.xor_u", "i64.atomic.rmw8.xor_u", "i64.atomic.rmw16.xor_u", "i64.atomic.rmw32.xor_u", "i32.atomic.rmw.xchg", "i64.atomic.rmw.xchg", "i32.atomic.rmw8.xchg_u", "i32.atomic.rmw16.xchg_u", "i64.atomic.rmw8.xchg_u", "i64.atomic.rmw16.xchg_u", "i64.atomic.rmw32.xchg_u", "i32.atomic.rmw.cmpxchg", "i64.atomic.rmw.cmpxchg", "i32.atomic.rmw8.cmpxchg_u", "i32.atomic.rmw16.cmpxchg_u", "i64.atomic.rmw8.cmpxchg_u", "i64.atomic.rmw16.cmpxchg_u", "i64.atomic.rmw32.cmpxchg_u"];
 
 
 // Use the above opCodes list to fill the codeTable, skipping reserved segments.
@@ -425,3 +500,15 @@ for (let i = 0; i < opCodes.length; i++) {
     codeTable[op] = i;
   }
 }
+
+// Prefixed instructions are kept separately, since they don't fit in a single byte (see ByteCodeContainer.op above).
+const prefixedOpCodes = Object.create(null);
+
+for (let [prefix, list] of [["prefix.misc", miscOpCodes], ["prefix.simd", simdOpCodes], ["prefix.atomic", atomicOpCodes]]) {
+  for (let i = 0; i < list.length; i++) {
+    let op = list[i];
+    if (op !== null) {
+      prefixedOpCodes[op] = {prefix, index: i};
+    }
+  }
+}
@@ -6,7 +6,8 @@
   Those are mostly determined by the structure of the WebAssembly bytecode module format, whereas the function body code generation is
     determined by the structure and features of the WebBS language.
 */
-import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
+import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
+import {dataEnd, resultTypes} from "/WebBS/compiler/validation.js";
 
 
 /*
@@ -62,36 +63,47 @@ export function generate (bytecode, node, depth) {
     } break;
 
 
+    case ASSERT: {
+      if (!node.scope.debug) {
+        break;  // Release builds compile asserts away entirely (their conditions are still checked during validation).
+      }
+
+      // The assert gets its own section labeled with its line number, so a failed one can be found in the bytecode view.
+      let condition = children[0];
+      let assertion = bytecode.section(`assert (line ${node.meta.line})`).generate(condition, depth);
+      if (condition.runType === "i32") {
+        assertion.op("i32.eqz");
+      } else {  // As with "if", other numeric types are compared to 0 (see the IF case below).
+        assertion.op(`${condition.runType}.const`).literal(condition.runType, 0, "value").op(`${condition.runType}.eq`);
+      }
+      assertion
+        .op("if").byte("void", "block_type")
+          .op("unreachable")
+        .op("end")
+        .finishSection();
+    } break;
+
+
     case ASSIGN: {
       let [left, right] = children;
       
-      if (left.ASType !== MEMORY_ACCESS) {
+      if (left.ASType === CONST) {
+        return bytecode;  // Constants are inlined wherever they're used, so defining one doesn't produce any code.
+      } else if (left.ASType !== MEMORY_ACCESS && left.ASType !== FIELD_ACCESS) {
         bytecode
           .generate(right, depth)
           .setVariable(left.meta.index, left.meta.isGlobal, !dropValue);
 
-      } else {  // left.ASType === MEMORY_ACCESS
-        let {index, isGlobal, storageSize, returnType, extendedType, storageBits} = left.meta;
-        let [address, offsetProvided] = left.children[0].children;
-        let offset = offsetProvided === undefined ? 0 : offsetProvided.meta.value;
+      } else {
+        let {alignment, offset, storeOp} = generateAddress(bytecode, left, depth);
+        bytecode.generate(right, depth);
 
-        for (var alignment = Math.log2(storageSize); offset % (2**alignment) !== 0; alignment--); // Calculate the alignment.
-        
-        bytecode
-          .generate(address, depth)
-          .getVariable(index, isGlobal)
-          .op("i32.add")
-          .op("i32.const").varuint(storageSize, "value")
-          .op("i32.mul")
-          .generate(right, depth);
-
-        let storageOp = `${returnType}.store${extendedType ? storageBits : ""}`;
         if (dropValue) { // We don't need to put a value on the stack, so we just store and move on.
-          bytecode.op(storageOp).varuint(alignment, "flags").varuint(offset, "offset");
+          bytecode.op(storeOp).varuint(alignment, "flags").varuint(offset, "offset");
         } else {  // We're expected to keep the value we just calculated on the stack.
           bytecode
             .op("tee_local").varuint(node.meta.tempVariable.index, "local_index")
-            .op(storageOp).varuint(alignment, "flags").varuint(offset, "offset")
+            .op(storeOp).varuint(alignment, "flags").varuint(offset, "offset")
             .op("get_local").varuint(node.meta.tempVariable.index, "local_index");
         }
       }
@@ -105,12 +117,12 @@ export function generate (bytecode, node, depth) {
       let parentType = parent.ASType;
       if (children.length === 1) {  // As a minor optimization, we unwrap any single expression wrapped in a block/paren.
         bytecode.generate(children[0], depth);
-      } else if (parentType === ELSE || parentType === IF || parentType === FN || parentType === LOOP) {
+      } else if (parentType === ELSE || parentType === IF || parentType === FN || parentType === LOOP || parentType === TRY || parentType === CATCH) {
         // Some control structures already define implicit blocks, so we unwrap any unnecessary blocks as immediate children.
         bytecode.generateEach(children, depth);
       } else {
         bytecode
-          .op("block").byte(runType, "block_type")
+          .op("block").blockType(node)
             .generateEach(children, depth + 1)
           .op("end");
       }
@@ -119,6 +131,7 @@ export function generate (bytecode, node, depth) {
 
     case BREAK:
     case YIELD: {
+      // The jump target is the nearest loop, or the one named by a label (e.g. break outer), which may be several blocks further out.
       bytecode
         .generateEach(children, depth)  // This is a no-op for BREAK, which won't have any children.
         .op("br").varuint(depth - node.meta.jumpTarget.meta.depth, "relative_depth");
@@ -126,6 +139,47 @@ export function generate (bytecode, node, depth) {
     } break;
 
 
+    case BUILTIN_CALL: {
+      let {alignment, args, data, nullReference, operator, paramTypes, signExtension, store, storeIndices} = node.meta;
+      let offset = null;  // The offset of the memory location accessed by an atomic built-in, if any.
+
+      if (nullReference) {
+        bytecode.op("ref.null").byte("anyfunc", "reference_type");
+      }
+      args.forEach((arg, i) => {
+        if (paramTypes[i] === "data") {
+          return; // Passive data segments are immediates, written after the operator.
+        } else if (paramTypes[i] === "access") {
+          ({offset} = generateAddress(bytecode, arg, depth));  // The alignment was already worked out during validation.
+        } else if (paramTypes[i] === "pointer") {
+          bytecode.generate(arg, depth).op("i32.const").literal("i32", node.meta.pointer.storageSize, "value");
+        } else if (paramTypes[i] !== "function") {
+          bytecode.generate(arg, depth);
+        } else if (arg.meta.ASType === FN_PTR) {  // Function pointers are table indices, so we look up the function in the table.
+          bytecode
+            .getVariable(arg.meta.index, arg.meta.isGlobal)
+            .op("table.get").varuint(0, "table_index");
+        } else {
+          bytecode.op("ref.func").varuint(arg.meta.index, "function_index");
+        }
+      });
+
+      bytecode.op(operator);
+      if (data !== null) {
+        bytecode.varuint(data.segment.index, "data_index");
+      }
+      if (offset !== null) {
+        bytecode.varuint(alignment, "flags").varuint(offset, "offset");
+      }
+      for (let i = 0; i < storeIndices; i++) {
+        bytecode.varuint(0, `${store}_index`);  // The default memory/table is the only one (at index 0).
+      }
+      if (signExtension) {
+        bytecode.op(signExtension);
+      }
+    } break;
+
+
     case CALL: {
       bytecode.generateEach(children[0].children, depth);
       if (node.meta.ASType === FN_PTR) {
@@ -138,16 +192,70 @@ export function generate (bytecode, node, depth) {
     } break;
 
     
+    case CATCH: {
+      // A chain of catch clauses (see the CATCH case in /compiler/validation.js) is generated as a single try block, with a catch for each
+      //  clause. Each catch starts with the values thrown along with the tag on the stack, so we store them in the clause's variables.
+      let clauses = [];
+      let tryNode = node;
+      for (; tryNode.ASType === CATCH; tryNode = tryNode.children[0]) {
+        clauses.unshift(tryNode);
+      }
+
+      bytecode
+        .op("try").blockType(node)
+          .generate(tryNode.children[0], depth + 1);
+      for (let {children: [, tag, {children: names}, body]} of clauses) {
+        bytecode.op("catch").varuint(tag.meta.index, "tag_index");
+        for (let i = names.length - 1; i >= 0; i--) {  // The last value is on top of the stack, so the names are set in reverse order.
+          bytecode.setVariable(names[i].meta.index, false, false);
+        }
+        bytecode.generate(body, depth + 1);
+      }
+      bytecode.op("end");
+    } break;
+
+
+    case COMPOUND_ASSIGN: {
+      generateUpdate(bytecode, node, depth, false, () => {
+        bytecode
+          .generate(children[1], depth)
+          .op(node.meta.operator);
+      });
+      dropValue = false;
+    } break;
+
+
     case CONTINUE: {
-      // Subtracting 1 from the jumpTarget depth hits the inner loop instead of the outer block, so the loop iterates rather than breaks.
-      bytecode.op("br").varuint(depth - node.meta.jumpTarget.meta.depth - 1, "relative_depth");
+      // This hits the inner loop (or the block around the body of a loop with a step) instead of the outer block, so the loop iterates.
+      bytecode.op("br").varuint(depth - node.meta.jumpTarget.meta.continueDepth, "relative_depth");
+    } break;
+
+
+    case DATA_END: {
+      // All the data segments are known by now (see dataEnd() in /compiler/validation.js).
+      bytecode.op("i32.const").literal("i32", dataEnd(node.scope), "value");
+    } break;
+
+
+    case DESTRUCTURE: {
+      // The values come off the stack in reverse order, so the last name is set first.
+      let [{children: names}, right] = children;
+      bytecode.generate(right, depth);
+      for (let i = names.length - 1; i >= 0; i--) {
+        bytecode.setVariable(names[i].meta.index, false, false);
+      }
     } break;
 
 
     case DEFINITION:
     case VARIABLE: {
       if (dropValue) return bytecode; // If we're not going to use a variable, why bother putting it on the stack?
-      bytecode.getVariable(node.meta.index, node.meta.isGlobal);
+      if (runType === "void") return bytecode; // Definitions of things that aren't variables (e.g. passive data) don't produce any code.
+      if (node.meta.ASType === CONST) { // Named constants are inlined as literals.
+        bytecode.op(`${runType}.const`).literal(runType, node.meta.value, "value");
+      } else {
+        bytecode.getVariable(node.meta.index, node.meta.isGlobal);
+      }
     } break;
 
     
@@ -161,7 +269,7 @@ export function generate (bytecode, node, depth) {
           .op(`${condition.runType}.ne`);
       }
       bytecode
-        .op("if").byte(runType, "block_type")
+        .op("if").blockType(node)
           .generate(passBody, depth + 1)
         .op("else")
           .generate(failBody, depth + 1)
@@ -169,10 +277,16 @@ export function generate (bytecode, node, depth) {
     } break;
 
 
+    case CONSTANT:
     case F32_LITERAL:
     case F64_LITERAL:
     case I32_LITERAL:
-    case I64_LITERAL: {
+    case I64_LITERAL:
+    case LENGTH_OF:
+    case LIST:
+    case SIZE_OF:
+    case STRING: {
+      // Constant expressions, lengths, sizes and data segment addresses are computed during validation, so they're just literals by now.
       runType = node.meta.runType;
       bytecode.op(`${runType}.const`).literal(runType, node.meta.value, "value");
     } break;
@@ -194,45 +308,123 @@ export function generate (bytecode, node, depth) {
     } break;
 
 
+    case LABEL: {
+      bytecode.generate(children[0], depth);  // Labels don't produce any code of their own (see the BREAK case above).
+    } break;
+
+
     case LOOP: {
       // Loops have a container block and a loop block.
       // To continue the loop, branch to the loop's relative depth. To break out of the loop, branch to the container's depth.
+      let [body, step] = children;
       node.meta.depth = depth + 1;  // This is the container depth.
-      bytecode
-        .op("block").byte(node.runType, "block_type")
-          .op("loop").byte(node.runType, "block_type")
-            .generate(children[0], depth + 2)
-            .op("br").varuint(0, "relative_depth")  // Branch to loop depth to continue if we get here.
+
+      if (step === undefined) {
+        node.meta.continueDepth = depth + 2;  // This is the loop depth.
+        bytecode
+          .op("block").blockType(node)
+            .op("loop").blockType(node)
+              .generate(body, depth + 2)
+              .op("br").varuint(0, "relative_depth")  // Branch to loop depth to continue if we get here.
+            .op("end")
+          .op("end");
+
+      } else {
+        // Loops lowered from for loops have a step expression that needs to run before each new iteration, even after a continue.
+        // So the body gets its own block, and continuing branches out of that, falling through to the step expression.
+        node.meta.continueDepth = depth + 3;
+        bytecode
+          .op("block").blockType(node)
+            .op("loop").blockType(node)
+              .op("block").byte("void", "block_type")
+                .generate(body, depth + 3)
+              .op("end")
+              .generate(step, depth + 2)
+              .op("br").varuint(0, "relative_depth")
+            .op("end")
+          .op("end");
+      }
+    } break;
+
+
+    case MATCH: {
+      // A match is made up of a container block, which holds a block for the default arm, which holds a block for each of the other arms.
+      // To select an arm, we branch out of its block, landing in front of its body, which then branches out of the container.
+      // The default arm's body is at the end of the container, so it doesn't need to branch anywhere.
+      let {arms, defaultArm, min, table, tempVariable} = node.meta;
+      let armCount = arms.length;
+
+      bytecode.op("block").blockType(node);
+      for (let i = 0; i <= armCount; i++) {
+        bytecode.op("block").byte("void", "block_type");
+      }
+      bytecode.generate(children[0], depth + armCount + 2);
+
+      if (table !== null) {
+        if (min !== 0) {
+          bytecode.op("i32.const").literal("i32", min, "value").op("i32.sub");
+        }
+        bytecode.op("br_table").varuint(table.length, "target_count");
+        for (let armIndex of table) {
+          bytecode.varuint(armIndex, "target");
+        }
+        bytecode.varuint(armCount, "default_target");
+
+      } else {
+        bytecode.op("set_local").varuint(tempVariable.index, "local_index");
+        arms.forEach(({labels}, armIndex) => {
+          for (let labelValue of labels) {
+            bytecode
+              .op("get_local").varuint(tempVariable.index, "local_index")
+              .op("i32.const").literal("i32", labelValue, "value")
+              .op("i32.eq")
+              .op("br_if").varuint(armIndex, "relative_depth");
+          }
+        });
+        bytecode.op("br").varuint(armCount, "relative_depth");
+      }
+
+      arms.forEach(({body}, armIndex) => {
+        bytecode
           .op("end")
-        .op("end");
+          .generate(body, depth + armCount + 1 - armIndex);
+        if (!body.alwaysEscapes) {
+          bytecode.op("br").varuint(armCount - armIndex, "relative_depth");
+        }
+      });
+
+      bytecode.op("end");
+      if (defaultArm !== null) {
+        bytecode.generate(defaultArm.body, depth + 1);
+      }
+      bytecode.op("end");
     } break;
 
 
+    case FIELD_ACCESS:
     case MEMORY_ACCESS: {
-      let {index, isGlobal, storageSize, runType, extendedType, storageSigned, storageBits} = node.meta;
-      let [address, offsetProvided] = children[0].children;
-      let offset = offsetProvided === undefined ? 0 : offsetProvided.meta.value;
-      
-      for (var alignment = Math.log2(storageSize); offset % (2**alignment) !== 0; alignment--); // Calculate the alignment.
-      
-      let loadOp = `${runType}.load`;
-      if (extendedType) {
-        loadOp += `${storageBits}_${storageSigned}`;
+      if (children[0].ASType === VARIABLE) {  // Enum members (e.g. Color.Red) are inlined as literals, just like named constants.
+        bytecode.op(`${runType}.const`).literal(runType, node.meta.value, "value");
+        break;
       }
-
-      bytecode
-        .generate(address, depth)
-        .getVariable(index, isGlobal)
-        .op("i32.add")
-        .op("i32.const").varuint(storageSize, "value")
-        .op("i32.mul")
-        .op(loadOp).varuint(alignment, "flags").varuint(offset, "offset");
+      let {alignment, offset, loadOp} = generateAddress(bytecode, node, depth);
+      bytecode.op(loadOp).varuint(alignment, "flags").varuint(offset, "offset");
     } break;
 
 
     case NEG: {
-      // TODO: Enable NEG for non-literal expressions.
-      bytecode.op(`${runType}.const`).literal(runType, -children[0].meta.value, "value");
+      let {isLiteral, operator} = node.meta;
+
+      if (isLiteral) {
+        bytecode.op(`${runType}.const`).literal(runType, -children[0].meta.value, "value");
+      } else if (runType === "f32" || runType === "f64") {
+        bytecode.generate(children[0], depth).op(operator);
+      } else {  // There's no integer negation instruction in WebAssembly, so we compute 0 - x instead.
+        bytecode
+          .op(`${runType}.const`).literal(runType, 0, "value")
+          .generate(children[0], depth)
+          .op(operator);
+      }
     } break;
 
 
@@ -262,7 +454,40 @@ export function generate (bytecode, node, depth) {
     } break;
 
 
+    case PTR_CAST: {
+      // Rescale the index, so it picks out the same address in terms of the new storage size (rounding down if it falls mid-value).
+      let {sourceSize, storageSize} = node.meta;
+      bytecode.generate(children[0], depth);
+      if (sourceSize === storageSize) {
+        break;  // Same size, same index.
+      } else if (sourceSize % storageSize === 0) {
+        bytecode.op("i32.const").literal("i32", sourceSize / storageSize, "value").op("i32.mul");
+      } else if (storageSize % sourceSize === 0) {
+        bytecode.op("i32.const").literal("i32", storageSize / sourceSize, "value").op("i32.div_u");
+      } else {
+        bytecode
+          .op("i32.const").literal("i32", sourceSize, "value").op("i32.mul")
+          .op("i32.const").literal("i32", storageSize, "value").op("i32.div_u");
+      }
+    } break;
+
+
     case RETURN: {
+      if (node.meta.tailCall) {
+        // The tail call instruction gets its own section, so it stands out in the bytecode view.
+        let call = children[0];
+        let tailCall = bytecode.generateEach(call.children[0].children, depth).section(`tail call (${call.meta.name})`);
+        if (call.meta.ASType === FN_PTR) {
+          tailCall
+            .getVariable(call.meta.index, call.meta.isGlobal)
+            .op("return_call_indirect").varuint(call.meta.signatureIndex, "type_index").varuint(0, "reserved");
+        } else {
+          tailCall.op("return_call").varuint(call.meta.index, "function_index");
+        }
+        tailCall.finishSection();
+        dropValue = false;
+        break;
+      }
       if (children.length === 1) {  // RETURN nodes may or may not have a single child that needs to be put on the stack.
         bytecode.generate(children[0], depth);
       }
@@ -271,21 +496,57 @@ export function generate (bytecode, node, depth) {
     } break;
     
 
-    case SUFFIX_OP: {
-      let child = children[0];
-      let index = child.meta.index;
-      let isGlobal = child.meta.isGlobal;
+    case SIMD_OP: {
+      let {args, laneArgs = [], operator, shape, value} = node.meta;
 
-      if (!dropValue) {
-        bytecode.getVariable(index, isGlobal);
+      if (value !== null) {  // Constant vectors were already folded during validation.
+        bytecode.op("v128.const").literal("v128", value, "value");
+      } else if (shape !== undefined) {
+        // Otherwise, a vector constructor fills every lane with its first argument, then replaces the rest of the lanes one by one.
+        bytecode.generate(args[0], depth).op(`${shape}.splat`);
+        for (let i = 1; i < args.length; i++) {
+          bytecode
+            .generate(args[i], depth)
+            .op(`${shape}.replace_lane`).bytes([i], "lane_index");
+        }
+      } else {  // Lane arguments aren't pushed on to the stack; they're immediates, written after the operator.
+        bytecode
+          .generateEach(args.filter((arg, i) => !laneArgs.includes(i)), depth)
+          .op(operator);
+        if (laneArgs.length > 0) {
+          bytecode.bytes(laneArgs.map((i) => args[i].meta.value), "lane_index");
+        }
       }
+    } break;
 
+
+    case SUFFIX_OP: {
+      // The value of a suffix operation is the value from before the increment/decrement.
+      generateUpdate(bytecode, node, depth, true, () => {
+        bytecode
+          .op(`${runType}.const`).literal(runType, 1, "value")
+          .op(`${runType}.${node.token.text === "++" ? "add" : "sub"}`);
+      });
+      dropValue = false;
+    } break;
+
+
+    case THROW: {
+      let call = children[0];
       bytecode
-        .getVariable(index, isGlobal)
-        .op(`${child.runType}.const`).literal(child.runType, 1, "value")
-        .op(`${child.runType}.${node.token.text === "++" ? "add" : "sub"}`)
-        .setVariable(index, isGlobal, false);
-    
+        .generateEach(call.children[0].children, depth)
+        .op("throw").varuint(call.meta.index, "tag_index");
+      dropValue = false;
+    } break;
+
+
+    case TUPLE: {
+      bytecode.generateEach(children, depth);
+    } break;
+
+
+    case UNREACHABLE: {
+      bytecode.op("unreachable");
       dropValue = false;
     } break;
 
@@ -293,7 +554,88 @@ export function generate (bytecode, node, depth) {
 
   // If we've marked this node as pushing a value on to the stack when one isn't expected, we need to drop that value.
   if (dropValue) {
-    bytecode.op("drop");
+    for (let i = resultTypes(runType).length; i > 0; i--) {
+      bytecode.op("drop");
+    }
+  }
+
+  return bytecode;
+}
+
+
+/*
+  This generates the code that puts the memory address accessed through a pointer (e.g. p[i] or p[i].x) on the stack.
+  The constant part of the address is left for the load/store instruction's offset field, so this returns that offset, the alignment hint
+    to use with it, and the names of the load and store instructions that match the storage type of the value being accessed.
+*/
+function generateAddress (bytecode, node, depth) {
+  let access = node.ASType === FIELD_ACCESS ? node.children[0] : node;
+  let {index, isGlobal, storageSize} = access.meta;
+  let [address, offsetProvided] = access.children[0].children;
+  let offset = offsetProvided === undefined ? 0 : offsetProvided.meta.value;
+  let storage = access.meta;
+
+  if (node.ASType === FIELD_ACCESS) { // For struct fields, we access a smaller value at a fixed position inside the struct.
+    storage = node.meta.field;
+    offset += storage.offset;
+  }
+
+  for (var alignment = Math.log2(storage.storageSize); offset % (2**alignment) !== 0; alignment--); // Calculate the alignment.
+
+  bytecode
+    .generate(address, depth)
+    .getVariable(index, isGlobal)
+    .op("i32.add")
+    .op("i32.const").literal("i32", storageSize, "value")
+    .op("i32.mul");
+
+  let {returnType, extendedType, storageSigned, storageBits} = storage;
+  let loadOp = `${returnType}.load${extendedType ? `${storageBits}_${storageSigned}` : ""}`;
+  let storeOp = `${returnType}.store${extendedType ? storageBits : ""}`;
+
+  return {alignment, offset, loadOp, storeOp};
+}
+
+
+/*
+  COMPOUND_ASSIGN and SUFFIX_OP both load a value, change it and then store it back where it came from.
+  This generates that sequence, with generateChange filling in the instructions that turn the old value into the new one.
+  If the expression's value is needed, it's left on the stack afterwards (the new value, unless keepOldValue is set).
+*/
+function generateUpdate (bytecode, node, depth, keepOldValue, generateChange) {
+  let target = node.children[0];
+  let keepValue = !node.dropValue;
+
+  if (target.ASType !== MEMORY_ACCESS && target.ASType !== FIELD_ACCESS) {
+    let {index, isGlobal} = target.meta;
+    if (keepValue && keepOldValue) {
+      bytecode.getVariable(index, isGlobal);
+    }
+    bytecode.getVariable(index, isGlobal);
+    generateChange();
+    bytecode.setVariable(index, isGlobal, keepValue && !keepOldValue);
+
+  } else {
+    // The address goes on the stack twice (once for the load, once for the store), but it's only calculated once.
+    let {addressVariable, tempVariable} = node.meta;
+    let {alignment, offset, loadOp, storeOp} = generateAddress(bytecode, target, depth);
+    bytecode
+      .op("tee_local").varuint(addressVariable.index, "local_index")
+      .op("get_local").varuint(addressVariable.index, "local_index")
+      .op(loadOp).varuint(alignment, "flags").varuint(offset, "offset");
+
+    if (keepValue && keepOldValue) {
+      bytecode.op("tee_local").varuint(tempVariable.index, "local_index");
+    }
+    generateChange();
+    if (keepValue && !keepOldValue) {
+      bytecode.op("tee_local").varuint(tempVariable.index, "local_index");
+    }
+
+    bytecode.op(storeOp).varuint(alignment, "flags").varuint(offset, "offset");
+    if (keepValue) {
+      bytecode.op("get_local").varuint(tempVariable.index, "local_index");
+    }
   }
 
   return bytecode;
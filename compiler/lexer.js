@@ -1,4 +1,4 @@
-import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
+import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
 
 
 /* 
@@ -12,24 +12,45 @@ import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG
   NOTES:
     Keywords are followed by (?!\w) which prevents them from matching the initial segments of variables.
       E.g. You can have a variable called "returnValue" and the initial "return" won't be picked up as a keyword.
+    A few keywords only make sense as the type in a definition, so they're also preceded by (?<=:\s*), and are ordinary names elsewhere.
+      E.g. "Oops: tag (i32)" and "counter: mutable i32" use the keywords, but you can still have a variable called "tag" or "mutable".
 
     Lexification order is unimportant for most token types, but there are a few exceptions that determine the order of this list.
       1. WS goes first as a (premature) optimization, just because it's almost certainly the most common token type.
-      2. There are a few tokens that are prefixes of other tokens (e.g = is a prefix of ==). 
+      2. There are a few tokens that are prefixes of other tokens (e.g = is a prefix of ==, and + is a prefix of +=). 
           The longer tokens needs to be caught first, so sets of possible prefixes are separated out up front.
       3. CALL and MEMORY_ACCESS need to go after all keywords (we don't want to mistake things like "if(" for a function call).
-      4. VARIABLE needs to go after CALL, MEMORY_ACCESS and all keywords, so those things aren't mistakenly identified as variables.
-      5. BAD_TOKEN goes last, to capture any characters we don't recognize as a part of something else.
+          Likewise, BUILTIN_CALL, SIMD_OP and SIZE_OF need to go before CALL, so calls to built-in functions like memory_copy (or SIMD operators
+            like i32x4_add and sizeof, which are written the same way) aren't mistaken for normal calls.
+      4. LABEL (a name followed by a colon, when a loop comes next, e.g. "outer: loop") also needs to go after all keywords.
+      5. VARIABLE needs to go after CALL, LABEL, MEMORY_ACCESS and all keywords, so those things aren't mistakenly identified as variables.
+      6. BAD_TOKEN goes last, to capture any characters we don't recognize as a part of something else.
 
     The parser overrides certain lexifications when creating the AST (see getASType in /compiler/syntax.js for examples).
+
+    Numeric literals come in enough forms that their patterns are assembled from the pieces below.
+      Integers can be decimal (1_000_000), hexadecimal (0xFF), binary (0b1010) or a quoted character ('A', meaning its code point).
+      Floats can have an exponent (1.5e-3), or be one of the special values nan and inf.
+      Either kind can take an x32 or x64 suffix. The hexadecimal and binary forms are tried before plain decimal digits,
+        so 0x64 is the hexadecimal value 0x64 (rather than a zero with an x64 suffix), and 0x64x64 is the same value as an i64.
+        (The decimal form also refuses to match a lone 0 that starts one of those, so backtracking can't bring the zero back.)
+        Exactly 0x32 and 0x64 are rejected during validation though, since they used to mean a zero with a suffix.
 */
+const decimal = String.raw`\d+(?:_\d+)*`;
+const integer = String.raw`(?:0x[\da-fA-F]+(?:_[\da-fA-F]+)*|0b[01]+(?:_[01]+)*|(?!0[xb][\da-fA-F])${decimal}|'(?:\\.|[^'\\\n])+')`;
+const float = String.raw`(?:${decimal}(?:\.${decimal})?[eE][+-]?\d+|${decimal}\.${decimal}|nan|inf)`;
+
 const lexerData = [  
   [WS, /\s/],
 
+  [COMPOUND_ASSIGN, /(?:\|\/\||\|%\||<<|>>>?|rotate_left|rotate_right|with_sign_of|xor|\?<|\?>|[-+*\/%&|])=/],
+
+  [CASE, /=>/],
   [EQ_COMPARISON, /==|!=/],
   [ASSIGN, /=/],
 
-  [COMMENT, /\/\/[^\n]*/],
+  [DOC_COMMENT, /\/\/\/(?!\/)[^\n]*/],
+  [COMMENT, /\/\/[^\n]*|\/\*/],  // Only the opening "/*" of a block comment is matched here - see lexify below.
 
   [BITWISE_SHIFT, />>>?|<<|rotate_right(?!\w)|rotate_left(?!\w)/],
   [ORDER_COMPARISON, />=?|<=?|\|>=?\||\|<=?\|/],
@@ -37,12 +58,12 @@ const lexerData = [
   [BITWISE_OR, /\|/],
 
   [STORAGE_TYPE, /(?:i(?:32|64)_[su](?:8|16)|i64_[su]32)(?!\w)/],
-  [VALUE_TYPE, /(?:i32|i64|f32|f64)(?!\w)/],
+  [VALUE_TYPE, /(?:i32|i64|f32|f64|v128)(?!\w)/],
 
-  [F64_LITERAL, /\d+\.\d+x64/],
-  [F32_LITERAL, /\d+\.\d+(?:x32)?/],
-  [I64_LITERAL, /\d+x64/],
-  [I32_LITERAL, /\d+(?:x32)?/],
+  [F64_LITERAL, new RegExp(`${float}x64(?!\\w)`)],
+  [F32_LITERAL, new RegExp(`${float}(?:x32)?(?!\\w)`)],
+  [I64_LITERAL, new RegExp(`${integer}x64(?!\\w)`)],
+  [I32_LITERAL, new RegExp(`${integer}(?:x32)?(?!\\w)`)],
 
   [SUFFIX_OP, /\+\+|--/],
   [ADD, /\+/],
@@ -53,40 +74,63 @@ const lexerData = [
   [ALLOCATE_PAGES, /allocate_pages(?!\w)/],
   [AND, /and(?!\w)/],
   [AS, /as(?!\w)/],
+  [ASSERT, /assert(?!\w)/],
   [BITWISE_AND, /&/],
   [BITWISE_XOR, /xor(?!\w)/],
   [BLOCK, /{/],
   [BLOCK_CLOSE, /}/],
   [BREAK, /break(?!\w)/],
+  [CATCH, /catch(?!\w)/],
   [COMMA, /,/],
+  [CONST, /const(?!\w)/],
   [CONTINUE, /continue(?!\w)/],
+  [DATA_END, /data_end(?!\w)/],
   [DEFAULT_MEMORY, /default_memory(?!\w)/],
   [DEFAULT_TABLE, /default_table(?!\w)/],
   [DEFINITION, /:/],
   [ELSE, /else(?!\w)/],
+  [ENUM, /enum(?!\w)/],
   [EXPORT, /export(?!\w)/],
+  [FIELD_ACCESS, /\.\w+/],
   [FN, /fn(?!\w)/],
   [FN_PTR, /fn_ptr(?!\w)/],
+  [FOR, /for(?!\w)/],
   [FROM, /from(?!\w)/],
   [IF, /if(?!\w)/],
   [IMMUTABLE, /immutable(?!\w)/],
   [IMPORT, /import(?!\w)/],
+  [LENGTH_OF, /length_of(?!\w)/],
   [LOOP, /loop(?!\w)/],
+  [MATCH, /match(?!\w)/],
   [MISC_INFIX, /\?>|\?<|with_sign_of(?!\w)/],
+  [MUTABLE, /(?<=:\s*)mutable(?!\w)/],
   [VOID, /void(?!\w)/],
   [OR, /or(?!\w)/],
   [PAGES_ALLOCATED, /pages_allocated(?!\w)/],
   [PAREN, /\(/],
+  [PASS, /pass(?!\w)/],
+  [PASSIVE, /passive(?!\w)/],
   [PAREN_CLOSE, /\)/],
   [PTR, /ptr(?!\w)/],
   [RETURN, /return(?!\w)/],
   [SEMICOLON, /;/],
+  [SHARED, /shared(?!\w)/],
   [STRING, /"(?:[^"\\]|\\.)*"/],
-  [UNARY_MATH_OP, /(?:abs|ceil|count_ones|floor|leading_zeros|round|sqrt|trailing_zeros|truncate|(?:to|cast)_(?:i32|i64|f32|f64))(?!\w)|!/],
+  [STRUCT, /struct(?!\w)/],
+  [TAG, /(?<=:\s*)tag(?!\w)/],
+  [THROW, /throw(?!\w)/],
+  [TRY, /try(?!\w)/],
+  [UNREACHABLE, /unreachable(?!\w)/],
+  [WHILE, /while(?!\w)/],
+  [UNARY_MATH_OP, /(?:abs|ceil|count_ones|extend(?:8|16|32)_s|floor|leading_zeros|round|sat_[iu](?:32|64)|sqrt|trailing_zeros|truncate|(?:to|cast)_(?:i32|i64|f32|f64))(?!\w)|!/],
   [YIELD, /yield(?!\w)/],  
 
+  [SIMD_OP, /(?:(?:i8x16|i16x8|i32x4|i64x2|f32x4|f64x2)(?:_(?:abs|add|div|extract_lane(?:_[su])?|max|min|mul|neg|replace_lane|shuffle|splat|sqrt|sub))?|v128_(?:and|not|or|xor))(?=\()/],
+  [BUILTIN_CALL, /(?:atomic_(?:add|and|cmpxchg|load|notify|or|store|sub|wait|xchg|xor)|byte_address|data_drop|memory_copy|memory_fill|memory_init|table_grow|table_set|table_size)(?=\()/],
+  [SIZE_OF, /(?:alignof|sizeof)(?=\()/],
   [CALL, /\w+(?=\()/],
   [MEMORY_ACCESS, /\w+(?=\[)/],
+  [LABEL, /\w+:(?=\s*(?:for|loop|while)(?!\w))/],
   [VARIABLE, /\w+/],
   [BAD_TOKEN, /./]
 ];
@@ -122,11 +166,45 @@ export function lexify (text) {
     // Supposedly, executing one big regular expression and then iterating through the matching groups like this is faster than executing a
     //  separate regular expression for each ASType.
     for (var i = 1; i < result.length && result[i] === undefined; i++);
-    tokens.push({ASType: ASTypes[i - 1], text: result[0], length: result[0].length, pos: result.index});
+    let ASType = ASTypes[i - 1];
+    let pos = result.index;
+
+    if (ASType === COMMENT && result[0] === "/*") {
+      // Block comments can be nested, which is beyond the abilities of regular expressions, so we find the end of this one by hand.
+      // An unterminated block comment becomes a BAD_TOKEN that runs to the end of the input.
+      let end = blockCommentEnd(text, regexp.lastIndex);
+      if (end === -1) {
+        ASType = BAD_TOKEN;
+        end = textLength;
+      }
+      regexp.lastIndex = end;
+    }
+
+    let tokenText = text.slice(pos, regexp.lastIndex);
+    tokens.push({ASType, text: tokenText, length: tokenText.length, pos});
   }
 
   // Finally, we add a sentinel to mark the end of input - this simplifies the parsing algorithm somewhat.
   tokens.push({ASType: END_OF_INPUT, text: '\n', length: 1, pos: textLength});
 
   return tokens;
-}
\ No newline at end of file
+}
+
+
+/*
+  This finds the end of a block comment, given the position just after its opening "/*".
+  Returns the position just after the matching close, or -1 if there isn't one.
+*/
+function blockCommentEnd (text, start) {
+  let delimiter = /\/\*|\*\//g;
+  delimiter.lastIndex = start;
+
+  for (let depth = 1, result; (result = delimiter.exec(text)) !== null;) {
+    depth += result[0] === "/*" ? 1 : -1;
+    if (depth === 0) {
+      return delimiter.lastIndex;
+    }
+  }
+
+  return -1;
+}
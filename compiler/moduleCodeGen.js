@@ -1,4 +1,5 @@
 import {ByteCodeContainer} from "/WebBS/compiler/byteCode.js";
+import {resultTypes} from "/WebBS/compiler/validation.js";
 
 
 /*
@@ -23,10 +24,14 @@ export function generateModule (root) {
   generateFunctionSection(root.scope, module);
   generateTableSection(root.scope, module);
   generateMemorySection(root.scope, module);
+  generateTagSection(root.scope, module);
   generateGlobalSection(root.scope, module);
   generateExportSection(root.scope, module);
   generateStartSection(root.scope, module);
+  generateElementSection(root.scope, module);
+  generateDataCountSection(root.scope, module);
   generateCodeSection(root.scope, module);
+  generateDataSection(root.scope, module);
 
   return module;
 }
@@ -56,12 +61,10 @@ function generateTypeSection (source, module) {
         signature.byte(param, "param_types");
       }
 
-      if (returnType === "void") {
-        signature.varuint(0, "return_count");
-      } else {
-        signature
-          .varuint(1, "return_count")
-          .byte(returnType, "return_type");
+      let returnTypes = resultTypes(returnType);
+      signature.varuint(returnTypes.length, "return_count");
+      for (let type of returnTypes) {
+        signature.byte(type, "return_type");
       }
 
       signature.finishSection();
@@ -73,7 +76,7 @@ function generateTypeSection (source, module) {
 
 
 /*
-  The import section is a list of all imported globals, functions, tables & memory stores.
+  The import section is a list of all imported globals, functions, tags, tables & memory stores.
 
   Note that these entries occupy positions in their respective index spaces.
     E.g. if you import two functions, they'll occupy the 0 and 1 positions of the function index space,
@@ -81,7 +84,7 @@ function generateTypeSection (source, module) {
 */
 function generateImportSection (source, module) {
   let section = module.section("import section");
-  let count = source.imports.function.length + source.imports.global.length;
+  let count = source.imports.function.length + source.imports.global.length + source.imports.tag.length;
   let table = source.defaultTable[0];
   if (table !== undefined && table.importSource !== null) {
     count++;
@@ -110,10 +113,19 @@ function generateImportSection (source, module) {
         .section(`global ${definition.index} (${definition.name})`)
           .importDefinition(definition)
           .byte(definition.runType, "content_type")
-          .byte("global.immutable", "mutability") // In the WebAssembly MVP, all imported globals must be immutable.
+          .byte(definition.mutable ? "global.mutable" : "global.immutable", "mutability")
           .finishSection();
     }
   
+    for (let definition of source.imports.tag) {
+      section
+        .section(`tag ${definition.index} (${definition.name})`)
+          .importDefinition(definition)
+          .byte("tag.exception", "attribute")
+          .varuint(definition.signatureIndex, "type_index")
+          .finishSection();
+    }
+
     if (table !== undefined && table.importSource !== null) {
       section
         .section("default_table")
@@ -198,6 +210,33 @@ function generateMemorySection (source, module) {
 }
 
 
+/*
+  The tag section is a list of all non-imported exception tags, each of which refers to a function signature that lists the types of the
+    values thrown along with it (see the TAG case of define() in /compiler/parser.js).
+*/
+function generateTagSection (source, module) {
+  let section = module.section("tag section");
+  let count = source.tags.length;
+
+  if (count > 0) {
+    section
+      .byte("section.tag", "id")
+      .reserveSize("payload_len")
+      .varuint(count, "count");
+
+    for (let {index, name, signatureIndex} of source.tags) {
+      section
+        .section(`tag ${index} (${name})`)
+          .byte("tag.exception", "attribute")  // Exceptions are the only kind of tag so far.
+          .varuint(signatureIndex, "type_index")
+          .finishSection();
+    }
+  }
+
+  section.finishSection();
+}
+
+
 /*
   The global section is a list of all non-imported global variables, along with basic expressions used to initialize them.
 */
@@ -275,6 +314,79 @@ function generateStartSection (source, module) {
 }
 
 
+/*
+  The element section contains the initial contents of the default table, as a list of function indices.
+  WebBS only supports a single element segment for that, which initializes the table starting at index 0.
+  Functions that are referred to as values (e.g. by table_set) also need to be declared here, in a second, declarative element segment.
+*/
+function generateElementSection (source, module) {
+  let section = module.section("element section");
+  let table = source.defaultTable[0];
+  let hasElements = table !== undefined && table.elements.length > 0;
+  let referenced = source.referencedFunctions;
+
+  if (hasElements || referenced.length > 0) {
+    section
+      .byte("section.element", "id")
+      .reserveSize("payload_len")
+      .varuint(Number(hasElements) + Number(referenced.length > 0), "count");
+  }
+
+  if (hasElements) {
+    let segment =
+      section
+        .section("elem 0")
+          .varuint(0, "index") // In the WebAssembly MVP, the default table is the only table (at index 0).
+          .section("offset")
+            .op("i32.const").literal("i32", 0, "value")
+            .op("end")
+            .finishSection()
+          .varuint(table.elements.length, "num_elem");
+
+    for (let [i, {index, name}] of table.elements.entries()) {
+      segment.varuint(index, `elem ${i} (${name})|function_index`);
+    }
+
+    segment.finishSection();
+  }
+
+  if (referenced.length > 0) {
+    let segment =
+      section
+        .section("declared")
+          .varuint(3, "flags") // A declarative segment, which isn't copied anywhere.
+          .varuint(0, "elem_kind") // Function references.
+          .varuint(referenced.length, "num_elem");
+
+    for (let [i, {index, name}] of referenced.entries()) {
+      segment.varuint(index, `elem ${i} (${name})|function_index`);
+    }
+
+    segment.finishSection();
+  }
+
+  section.finishSection();
+}
+
+
+/*
+  The data count section just records the number of data segments, so that memory_init/data_drop can refer to them before the data section.
+  It's only required when those instructions are used, which they can only be if there's a passive data segment.
+*/
+function generateDataCountSection (source, module) {
+  let section = module.section("data count section");
+
+  if (source.dataSegments.some(({passive}) => passive)) {
+    section
+      .byte("section.data_count", "id")
+      .reserveSize("payload_len")
+      .varuint(source.dataSegments.length, "count");
+  }
+
+  section.finishSection();
+}
+
+
 /*
   The code section contains the actual executable code for all the non-imported functions.
   Each function defintion is a list of local variable types, followed by the actual function body code.
@@ -325,9 +437,49 @@ function generateCodeSection (source, module) {
 
 
 /*
-  Functions and global variables need to be assigned numbers within an index space, with imports preceding other definitions.
+  The data section contains the initial contents of the default memory store (e.g. string literals), as a list of data segments.
+  Each segment is copied into memory at a fixed offset when the module is instantiated (even an imported memory, starting at address 0 unless
+    the dataBase compiler option moves them - see dataSegment() in /compiler/validation.js).
 */
-function orderGlobals ({imports: {function: fnImports, global: varImports}, variables, functions}) {
+function generateDataSection (source, module) {
+  let section = module.section("data section");
+  let count = source.dataSegments.length;
+
+  if (count > 0) {
+    section
+      .byte("section.data", "id")
+      .reserveSize("payload_len")
+      .varuint(count, "count");
+
+    for (let {bytes, description, index, offset, passive} of source.dataSegments) {
+      let segment = section.section(`data ${index}`);
+
+      if (passive) {
+        segment.varuint(1, "flags"); // Passive segments have no memory index or offset, they're copied in later by memory_init.
+      } else {
+        segment
+          .varuint(0, "index") // In the WebAssembly MVP, the default memory store is the only memory store (at index 0).
+          .section("offset")
+            .op("i32.const").literal("i32", offset, "value")
+            .op("end")
+            .finishSection();
+      }
+
+      segment
+        .varuint(bytes.length, "size")
+        .bytes(bytes, "data", description)
+        .finishSection();
+    }
+  }
+
+  section.finishSection();
+}
+
+
+/*
+  Functions, global variables and tags need to be assigned numbers within an index space, with imports preceding other definitions.
+*/
+function orderGlobals ({imports: {function: fnImports, global: varImports, tag: tagImports}, variables, functions, tags}) {
   for (let i = 0; i < fnImports.length; i++) {
     fnImports[i].index = i;
   }
@@ -340,4 +492,10 @@ function orderGlobals ({imports: {function: fnImports, global: varImports}, vari
   for (let i = 0; i < variables.length; i++) {
     variables[i].index = i + varImports.length;
   }
+  for (let i = 0; i < tagImports.length; i++) {
+    tagImports[i].index = i;
+  }
+  for (let i = 0; i < tags.length; i++) {
+    tags[i].index = i + tagImports.length;
+  }
 }
\ No newline at end of file
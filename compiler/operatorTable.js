@@ -213,6 +213,42 @@ export const operatorTable = {
     "f64": {returnType: "f64", operator: "f64.promote/f32"}
   },
 
+  // The sat_ conversions saturate instead of trapping: NaN becomes 0, and values that are out of range become the closest limit.
+
+  "sat_i32": {
+    "f32": {returnType: "i32", operator: "i32.trunc_sat_s/f32"},
+    "f64": {returnType: "i32", operator: "i32.trunc_sat_s/f64"}
+  },
+
+  "sat_u32": {
+    "f32": {returnType: "i32", operator: "i32.trunc_sat_u/f32"},
+    "f64": {returnType: "i32", operator: "i32.trunc_sat_u/f64"}
+  },
+
+  "sat_i64": {
+    "f32": {returnType: "i64", operator: "i64.trunc_sat_s/f32"},
+    "f64": {returnType: "i64", operator: "i64.trunc_sat_s/f64"}
+  },
+
+  "sat_u64": {
+    "f32": {returnType: "i64", operator: "i64.trunc_sat_u/f32"},
+    "f64": {returnType: "i64", operator: "i64.trunc_sat_u/f64"}
+  },
+
+  "extend8_s": {  // Sign-extend the lowest 8 bits to the full width of the integer
+    "i32": {returnType: "i32", operator: "i32.extend8_s"},
+    "i64": {returnType: "i64", operator: "i64.extend8_s"}
+  },
+
+  "extend16_s": {
+    "i32": {returnType: "i32", operator: "i32.extend16_s"},
+    "i64": {returnType: "i64", operator: "i64.extend16_s"}
+  },
+
+  "extend32_s": {
+    "i64": {returnType: "i64", operator: "i64.extend32_s"}
+  },
+
   "abs": {
     "f32": {returnType: "f32", operator: "f32.abs"},
     "f64": {returnType: "f64", operator: "f64.abs"}
@@ -267,3 +303,95 @@ export const operatorTable = {
     "i32": {returnType: "i32", operator: "grow_memory"}
   }
 };
+
+
+/*
+  SIMD operators work on 128-bit vectors (runType "v128"), which are split into equally sized lanes of the same type.
+  They're written like function calls, and their names start with the shape of the lanes they work on,
+    e.g. i32x4_add(a, b) adds the four pairs of i32 lanes in a and b, and f32x4(1.0, 2.0, 3.0, 4.0) builds a vector out of four f32s.
+
+  There are a lot of them, so rather than writing them all out, they're added to the table above from this list of lane shapes.
+  The operand runtypes are the runtypes of all the arguments, in order, and the entries can have a few extra properties:
+    laneArgs lists the positions of arguments that pick lanes, which must be i32 literals less than laneLimit (they're encoded as immediates).
+    shape is only set for the vector constructors (which are named after the shape itself).
+*/
+const vectorShapes = [
+  {shape: "i8x16", laneType: "i32", lanes: 16, binaryOps: ["add", "sub"], unaryOps: ["abs", "neg"]},
+  {shape: "i16x8", laneType: "i32", lanes: 8, binaryOps: ["add", "sub", "mul"], unaryOps: ["abs", "neg"]},
+  {shape: "i32x4", laneType: "i32", lanes: 4, binaryOps: ["add", "sub", "mul"], unaryOps: ["abs", "neg"]},
+  {shape: "i64x2", laneType: "i64", lanes: 2, binaryOps: ["add", "sub", "mul"], unaryOps: ["abs", "neg"]},
+  {shape: "f32x4", laneType: "f32", lanes: 4, binaryOps: ["add", "sub", "mul", "div", "min", "max"], unaryOps: ["abs", "neg", "sqrt"]},
+  {shape: "f64x2", laneType: "f64", lanes: 2, binaryOps: ["add", "sub", "mul", "div", "min", "max"], unaryOps: ["abs", "neg", "sqrt"]}
+];
+
+for (let {shape, laneType, lanes, binaryOps, unaryOps} of vectorShapes) {
+  operatorTable[shape] = {[Array(lanes).fill(laneType).join(",")]: {returnType: "v128", shape}};
+  operatorTable[`${shape}_splat`] = {[laneType]: {returnType: "v128", operator: `${shape}.splat`}};
+
+  for (let op of binaryOps) {
+    operatorTable[`${shape}_${op}`] = {"v128,v128": {returnType: "v128", operator: `${shape}.${op}`}};
+  }
+  for (let op of unaryOps) {
+    operatorTable[`${shape}_${op}`] = {"v128": {returnType: "v128", operator: `${shape}.${op}`}};
+  }
+
+  // Lanes narrower than 32 bits have to be sign (_s) or zero (_u) extended when they're extracted into an i32.
+  for (let op of laneType === "i32" && lanes > 4 ? ["extract_lane_s", "extract_lane_u"] : ["extract_lane"]) {
+    operatorTable[`${shape}_${op}`] = {"v128,i32": {returnType: laneType, operator: `${shape}.${op}`, laneArgs: [1], laneLimit: lanes}};
+  }
+  operatorTable[`${shape}_replace_lane`] = {
+    [`v128,i32,${laneType}`]: {returnType: "v128", operator: `${shape}.replace_lane`, laneArgs: [1], laneLimit: lanes}
+  };
+}
+
+// i8x16_shuffle(a, b, ...) picks each of the 16 bytes of its result from the 32 bytes of a and b, as listed by its 16 lane arguments.
+operatorTable["i8x16_shuffle"] = {
+  [["v128", "v128", ...Array(16).fill("i32")].join(",")]: {
+    returnType: "v128", operator: "i8x16.shuffle", laneArgs: Array.from({length: 16}, (lane, i) => i + 2), laneLimit: 32
+  }
+};
+
+// Bitwise operators don't care about the lane shape.
+operatorTable["v128_and"] = {"v128,v128": {returnType: "v128", operator: "v128.and"}};
+operatorTable["v128_not"] = {"v128": {returnType: "v128", operator: "v128.not"}};
+operatorTable["v128_or"] = {"v128,v128": {returnType: "v128", operator: "v128.or"}};
+operatorTable["v128_xor"] = {"v128,v128": {returnType: "v128", operator: "v128.xor"}};
+
+
+/*
+  This maps the names of built-in functions (called like normal functions, e.g. memory_copy(dest, src, length)) to WebAssembly operators.
+
+  paramTypes lists the runTypes of the arguments, with a few exceptions:
+    "data" stands for the name of a passive data segment, which is encoded as an immediate rather than pushed on to the stack.
+    "function" stands for a function (by name) or a function pointer, which is pushed on to the stack as a function reference.
+    "access" stands for a memory location accessed through a pointer (e.g. p[i] or p[i].x), whose address is pushed on to the stack.
+    "value" stands for a value with the same runType as the value stored at that location (and likewise for returnType).
+    "pointer" stands for an i32 valued expression that gives a pointer (e.g. p, or p + 3), which is followed on the stack by the size of
+      the values it points to.
+  store is the default store ("memory" or "table") that the operator works on, which needs to be defined.
+  storeIndices is the number of memory/table index immediates that follow the operator (they're always 0, the default store).
+  nullReference is set if the operator expects a null function reference on the stack ahead of the arguments.
+  atomic is set instead of operator for atomic built-ins, whose operator depends on the storage type of the location they access
+    (see atomicOperator() in /compiler/validation.js).
+*/
+export const builtinTable = {
+  "atomic_add": {paramTypes: ["access", "value"], returnType: "value", atomic: "add", store: "memory", storeIndices: 0},
+  "atomic_and": {paramTypes: ["access", "value"], returnType: "value", atomic: "and", store: "memory", storeIndices: 0},
+  "atomic_cmpxchg": {paramTypes: ["access", "value", "value"], returnType: "value", atomic: "cmpxchg", store: "memory", storeIndices: 0},
+  "atomic_load": {paramTypes: ["access"], returnType: "value", atomic: "load", store: "memory", storeIndices: 0},
+  "atomic_notify": {paramTypes: ["access", "i32"], returnType: "i32", atomic: "notify", store: "memory", storeIndices: 0},
+  "atomic_or": {paramTypes: ["access", "value"], returnType: "value", atomic: "or", store: "memory", storeIndices: 0},
+  "atomic_store": {paramTypes: ["access", "value"], returnType: "void", atomic: "store", store: "memory", storeIndices: 0},
+  "atomic_sub": {paramTypes: ["access", "value"], returnType: "value", atomic: "sub", store: "memory", storeIndices: 0},
+  "atomic_wait": {paramTypes: ["access", "value", "i64"], returnType: "i32", atomic: "wait", store: "memory", storeIndices: 0},
+  "atomic_xchg": {paramTypes: ["access", "value"], returnType: "value", atomic: "xchg", store: "memory", storeIndices: 0},
+  "atomic_xor": {paramTypes: ["access", "value"], returnType: "value", atomic: "xor", store: "memory", storeIndices: 0},
+  "byte_address": {paramTypes: ["pointer"], returnType: "i32", operator: "i32.mul", store: null, storeIndices: 0},
+  "data_drop": {paramTypes: ["data"], returnType: "void", operator: "data.drop", store: "memory", storeIndices: 0},
+  "memory_copy": {paramTypes: ["i32", "i32", "i32"], returnType: "void", operator: "memory.copy", store: "memory", storeIndices: 2},
+  "memory_fill": {paramTypes: ["i32", "i32", "i32"], returnType: "void", operator: "memory.fill", store: "memory", storeIndices: 1},
+  "memory_init": {paramTypes: ["data", "i32", "i32", "i32"], returnType: "void", operator: "memory.init", store: "memory", storeIndices: 1},
+  "table_grow": {paramTypes: ["i32"], returnType: "i32", operator: "table.grow", store: "table", storeIndices: 1, nullReference: true},
+  "table_set": {paramTypes: ["i32", "function"], returnType: "void", operator: "table.set", store: "table", storeIndices: 1},
+  "table_size": {paramTypes: [], returnType: "i32", operator: "table.size", store: "table", storeIndices: 1}
+};
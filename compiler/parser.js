@@ -1,11 +1,16 @@
-import {getASType, /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */} from "/WebBS/compiler/syntax.js";
-import {validate} from "/WebBS/compiler/validation.js";
+import {getASType, /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */} from "/WebBS/compiler/syntax.js";
+import {functionSignatureIndex, tupleType, validate} from "/WebBS/compiler/validation.js";
 import {CompileError} from "/WebBS/compiler/compileError.js";
 
 
 /*
   This is the main parser function.
   This takes a list of tokens produced by the lexer and returns a WebBS abstract syntax tree (AST), suitable for code generation.
+  It also takes an optional object of compiler options, which currently has three fields:
+    dataBase - the address in the default memory at which strings and byte lists start being stored (0 by default).
+    debug - if false, this is a release build and asserts are compiled away rather than checked at run time.
+    strictMVP - if true, mutable imported and exported globals are treated as errors, as they were in the WebAssembly MVP,
+      and returned calls are compiled as ordinary calls rather than tail calls. Other post-MVP features aren't checked.
   The parsing technique used here is based on Pratt parsing/Precedence Climbing algorithms.
     This page has a number of links that are good resources for learning more about the relevant techniques:
       https://www.oilshell.org/blog/2017/03/31.html
@@ -30,18 +35,48 @@ import {CompileError} from "/WebBS/compiler/compileError.js";
       (see .CTC() and .PTC() in /compiler/syntax.js) and then place it as a child of another node.
       When we mark a node as complete it will be placed in the next loop iteration (but not necessarily as the child of its current parent).    
 */
-export function parse (tokens) {
+export function parse (tokens, {dataBase = 0, debug = true, strictMVP = false} = {}) {
   let root = createASTNode(null, null, ROOT); // This ROOT node is the complete WebBS document and its children go in the global scope.
+  root.scope.dataBase = dataBase;
+  root.scope.debug = debug;
+  root.scope.strictMVP = strictMVP;
+  let docComment = null;  // The text of any doc comment lines (///) we've seen that haven't been attached to a token yet.
   
   // We're going to step through the tokens from the lexer one at a time,
   //  but beware of the clauses below that step the loop counter backwards once - not every iteration of this loop consumes a new token.
   for (let index = 0, node = root; index < tokens.length; index++) {
     let token = tokens[index];
 
+    if (token.ASType === DOC_COMMENT) {
+      // Consecutive lines of a doc comment are joined together, and the result is attached to the next meaningful token.
+      // If that token names something being defined, define() copies the doc comment into the definition (see below).
+      let line = token.text.slice(3).replace(/^ /, "");
+      docComment = docComment === null ? line : `${docComment}\n${line}`;
+      continue;
+    }
     if (token.ASType.skip) continue;  // Ignore white space and comments.
+    if (docComment !== null) {
+      token.docComment = docComment;
+      docComment = null;
+    }
     if (token.ASType === BAD_TOKEN) {
       throw new CompileError("Mysterious Symbol", {token});
     }
+
+    if (token.ASType === VARIABLE && [BREAK, CONTINUE, YIELD].includes(node.ASType) && node.meta === null && node.children.length === 0) {
+      // A name right after break, continue or yield can pick out the loop to jump to by its label (e.g. break outer).
+      // It's only taken as a label if it belongs to an enclosing loop, so any other name is left alone as an ordinary expression
+      //  (e.g. yield x, or the i++ in break i++, which is a separate statement since break doesn't take a value).
+      let label = enclosingLabel(node, token.text);
+      if (label !== null) {
+        // A yield that names a loop still needs a value, so if nothing follows, this was probably meant to be the value instead.
+        if (node.ASType === YIELD && tokens.slice(index + 1).find(({ASType}) => !ASType.skip).ASType.isTerminator) {
+          throw new CompileError("Missing Yield Value", {node, label: token});
+        }
+        node.meta = {label};
+        continue;
+      }
+    }
   
     if (node.complete) {
       // If the node we've been working on has all the children it expects, it's done so we place it among the children of another node.
@@ -49,10 +84,12 @@ export function parse (tokens) {
       // By default, we expect to give it to the current node.parent.
       // But if the token to the right takes a left operand, it may want to adopt the node out from under the current parent instead.
       //  e.g. if we were about to place the b in a + b but noticed that the next token is *, the * steals b away from +.
-      if (shouldReparent(node.parent.ASType, token.ASType)) {
+      //  Note that getASType() may override token.ASType when determining the final ASType for the node we'd create from the token.
+      // A finished match arm is never anyone's operand, so a minus sign after one starts a negative label for the next arm instead.
+      let ASType = getASType(token.ASType, node.parent.ASType);
+      if (node.ASType !== CASE && shouldReparent(node.parent.ASType, ASType)) {
         // If the upcoming token would claim the complete node as its child, we use that token to create a new AST node, then re-parent.
-        //  Note that getASType() may override token.ASType when determining the final ASType for the node we create here.
-        node.parent = createASTNode(token, node.parent, getASType(token.ASType, node.parent.ASType));
+        node.parent = createASTNode(token, node.parent, ASType);
       } else {
         // If we don't have a use for the token yet, we want to re-examine it the next loop iteration, so we decrement the loop counter.
         index--;
@@ -69,6 +106,10 @@ export function parse (tokens) {
         // If this is the appropriate terminator for an open expression, consume the token, close the node and move on.
         node.complete = true;
 
+      } else if (node.ASType === PAREN && token.ASType === COMMA && node.children.length === 1) {
+        // A comma after the first expression in a parenthetical makes it a tuple (e.g. (a, b)) rather than a sequence of expressions.
+        node.ASType = TUPLE;
+
       } else if (node.ASType === RETURN) {  // RETURN is a special case - it expects a child on the left, but it's fine without one.
         node.complete = true;
         index--;  // Decrement the loop counter and examine the un-consumed terminator token again in the next iteration.
@@ -79,7 +120,8 @@ export function parse (tokens) {
       // If we get here, the current node ignores terminator tokens of this type, so we consume the token and move on.
   
     // In the remaining cases, the current node can/must accept more children on the right.
-    } else if (token.ASType.leftOperands !== 0) { // Uh oh, the upcoming token's ASType seems to expect operands on the left...
+    } else if (token.ASType.leftOperands !== 0 && getASType(token.ASType, node.ASType).leftOperands !== 0) {
+      // Uh oh, the upcoming token's ASType seems to expect operands on the left (even after the current node gets a say in its ASType)...
       
       if (token.ASType === SUB) { // SUB is a special case, because the lexer can't tell it from unary negation (e.g. a - b vs. (-b))...
         node = createASTNode(token, node, NEG); //  ...so we optimistically re-interpret it as the unary NEG operator.
@@ -93,7 +135,15 @@ export function parse (tokens) {
       //  Note that a different parent may end up adopting the node we create here,
       //    and that nodes that take no children will already be marked as complete upon creation,
       //    and finally, that getASType() may override token.ASType when determining the final ASType for the node we create here.
-      node = createASTNode(token, node, getASType(token.ASType, node.ASType));
+      node = createASTNode(token, node, getASType(token.ASType, node.ASType, node.children.length));
+      if (node.ASType === ASSERT) {
+        // Asserts note which line they're on, so a failed one can be traced back to the source (see /compiler/functionCodeGen.js).
+        node.meta = {line: lineNumber(tokens, index)};
+      } else if (node.ASType === LIST && node.parent.ASType !== YIELD && endsExpression(tokens, index)) {
+        // Only pointer variables can be indexed, so a byte list right after another expression (e.g. the [0] in (p + 3)[0]) would
+        //  silently be a separate value rather than an index.
+        throw new CompileError("Misplaced Byte List", {node});
+      }
     }
   }
 
@@ -151,17 +201,24 @@ function createScope (parent) {
       names: Object.create(null), // A map from names to nameable entities (variables, functions, pointers, etc.).
       functionSignatureIndexMap: Object.create(null), // Used to memoize function signature definitions (see functionSignatureIndex()).
       functionSignatures: [], // A list of known function signatures, (see functionSignatureIndex()).
+      dataSegmentIndexMap: Object.create(null), // Used to memoize data segments (see dataSegment() in /compiler/validation.js).
+      dataSegments: [], // A list of data segments to be stored in the default memory, in order of increasing memory offset.
+      dataBase: 0,  // Set by parse() from the compiler options.
+      debug: true,  // Set by parse() from the compiler options.
       defaultMemory: [],  // Limited to one entry, created as an array so copy-by-reference works for sub-scopes below.
       defaultTable: [], // Limited to one entry, created as an array so copy-by-reference works for sub-scopes below.
       definitions: [],
-      imports: {function: [], global: []},
+      imports: {function: [], global: [], tag: []},
       isGlobal: true, // Is this the global scope? Yes.
       functions: [],
+      tags: [], // Exception tags (see the TAG case in define() below).
       variables: [],
       exports: [],
       references: [], // A running list of all the references that need to be resolved.
       children: [], // A list of sub-scopes.
-      returnPoints: []
+      referencedFunctions: [], // Functions referred to as values (e.g. by table_set), which need to be declared in the element section.
+      returnPoints: [],
+      strictMVP: false  // Set by parse() from the compiler options.
     };
 
   } else {
@@ -185,7 +242,8 @@ function createScope (parent) {
 }
 
 
-const storageTypeSplitter = /(.(..))_?(.)?(..?)?/;  // This is a tiny utility regular expression used by define() below.
+const storageTypeSplitter = /(.(\d+))_?(.)?(\d+)?/;  // This is a tiny utility regular expression used by storageTypeInfo() below.
+const expressionEnds = [ADDRESS_CLOSE, DATA_END, F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL, PAGES_ALLOCATED, PAREN_CLOSE, STRING, VARIABLE];  // This is used by endsExpression() below.
 
 
 /*
@@ -193,11 +251,17 @@ const storageTypeSplitter = /(.(..))_?(.)?(..?)?/;  // This is a tiny utility re
 */
 function define (node) {
   let [{token}, spec] = node.children;
-  let mutable = node.parent.ASType !== IMPORT;  // All imported variables are immutable by default in the WebAssembly MVP.
+  let mutable = node.parent.ASType !== IMPORT;  // Imported variables are immutable unless they're declared with "mutable".
   
   if (spec.ASType === IMMUTABLE) {
     mutable = false;
     spec = spec.children[0];
+  } else if (spec.ASType === MUTABLE) {
+    if (node.parent.ASType === IMPORT && node.scope.strictMVP) {
+      throw new CompileError("Mutable Import", {node: node.children[0]}); // Importing mutable globals was not allowed in the WebAssembly MVP.
+    }
+    mutable = true;
+    spec = spec.children[0];
   }
 
   let {ASType, scope} = spec;
@@ -205,10 +269,13 @@ function define (node) {
   // Most named definitions can technically appear pretty much anywhere, but function defintions are limited to the global scope.
   if (ASType === FN && node.parent.ASType !== ROOT) {
     throw new CompileError("Bad Placement for Function Definition", {node});
-  } 
+  } else if (ASType === TAG && !scope.isGlobal) {
+    throw new CompileError("Bad Placement for Tag Definition", {node});
+  }
 
   let definition = {
     ASType,
+    docComment: token.docComment === undefined ? null : token.docComment, // See the DOC_COMMENT handling in parse() above.
     exportName: null,
     isGlobal: scope.isGlobal,
     importSource: null,
@@ -225,7 +292,8 @@ function define (node) {
   let isFnPtr = ASType === FN_PTR;
 
   if (ASType === FN || ASType === FN_SIGNATURE || isFnPtr) {
-    let [{children: paramList}, {token: {text: returnType}}, body = null] = spec.children;
+    let [{children: paramList}, returnSpec, body = null] = spec.children;
+    let returnType = returnSpec.ASType === TYPE_LIST ? tupleType(returnSpec.children.map(({token}) => token.text)) : returnSpec.token.text;
     let paramTypes = paramList.map(ASType === FN ? (param) => param.meta.runType : (param) => param.token.text);
     let signatureIndex = functionSignatureIndex(scope, paramTypes, returnType);
 
@@ -241,18 +309,32 @@ function define (node) {
     };
 
   } else if (ASType === PTR) {
-    let storageType = spec.children[0].token.text;
-    let [ignore, returnType, bits, storageSigned, storageBits] = storageTypeSplitter.exec(storageType);
-    let extendedType = storageBits !== undefined;
     definition = {
       ...definition,
-      extendedType,
-      storageSigned,
-      storageBits,
       runType: "i32", // Pointers all have runType i32, because the actual value of the pointer is a memory address.
-      returnType, // .returnType is the type of the data that the pointer points to.
-      storageSize: Number.parseInt(extendedType ? storageBits : bits) / 8,
-      storageType
+      ...pointerTarget(spec.children[0])
+    };
+
+  } else if (ASType === STRUCT) {
+    definition = {...definition, kind: "struct", mutable: false, runType: "void", ...structLayout(spec)};
+
+  } else if (ASType === PASSIVE) {
+    // The data segment itself is created during validation (see /compiler/validation.js), once we know the bytes are valid.
+    definition = {...definition, kind: "data", mutable: false, runType: "void", segment: null, source: spec.children[0]};
+
+  } else if (ASType === TAG) {
+    // WebAssembly describes the values thrown along with a tag using a function signature with no return types.
+    // Throwing a tag looks a lot like calling a function, so the parameter types are recorded under the same name (see the CALL case in
+    //  /compiler/validation.js).
+    let paramTypes = spec.children[0].children.map(({token}) => token.text);
+    definition = {
+      ...definition,
+      kind: "tag",
+      mutable: false,
+      paramTypes,
+      returnType: "void",
+      runType: "void",
+      signatureIndex: functionSignatureIndex(scope, paramTypes, "void")
     };
   }
 
@@ -260,21 +342,230 @@ function define (node) {
   spec.meta = definition;
   node.parent.scope.definitions.push(definition);
 
-  if (node.parent.ASType === IMPORT) {
+  if (ASType === STRUCT || ASType === PASSIVE) {
+    // Struct types are purely a compile-time construct, so they don't occupy any index space.
+    // Passive data segments do, but it's shared with the strings and byte lists stored in memory, so it's filled in during validation.
+    return;
+  } else if (node.parent.ASType === IMPORT) {
     scope.imports[definition.kind].push(definition);
   } else if (definition.kind === "function") {
     scope.functions.push(definition);
+  } else if (definition.kind === "tag") {
+    scope.tags.push(definition);
   } else {
     scope.variables.push(definition);
   }
 }
 
 
+/*
+  This returns the information describing what a pointer type (e.g. ptr i32_u8) points to, given the node naming the target type.
+  It's shared by pointer definitions and pointer casts (see definePointerCast() below).
+*/
+function pointerTarget (target) {
+  let info = {struct: null};  // For pointers to structs, this is the struct definition (recorded during name resolution - see resolve()).
+
+  if (target.ASType === VARIABLE) {
+    // A pointer to a struct type - the storage size is the size of the struct, which we don't know until the name is resolved.
+    return {...info, extendedType: false, returnType: "void", storageSize: 0, storageType: target.token.text};
+  } else {
+    // .returnType is the type of the data that the pointer points to.
+    return {...info, ...storageTypeInfo(target.token.text)};
+  }
+}
+
+
+/*
+  This returns the information needed to load/store values of a given storage type (e.g. "i32" or "i64_u16") from/to memory.
+*/
+function storageTypeInfo (storageType) {
+  let [ignore, returnType, bits, storageSigned, storageBits] = storageTypeSplitter.exec(storageType);
+  let extendedType = storageBits !== undefined;
+  return {
+    extendedType,
+    storageSigned,
+    storageBits,
+    returnType,
+    storageSize: Number.parseInt(extendedType ? storageBits : bits) / 8,
+    storageType
+  };
+}
+
+
+/*
+  This lays out the fields of a struct definition in memory, and returns the layout information.
+  Each field is aligned to its own size, and the size of the whole struct is padded to a multiple of its largest field's size,
+    so that every field of every struct in an array of structs is naturally aligned.
+*/
+function structLayout (spec) {
+  let fields = Object.create(null);
+  let size = 0;
+  let alignment = 1;
+
+  for (let field of spec.children[0].children) {
+    let [{token}, type] = field.children;
+    if (fields[token.text] !== undefined) {
+      throw new CompileError("Duplicate Field", {first: fields[token.text], second: field.children[0]});
+    }
+
+    let info = storageTypeInfo(type.token.text);
+    size = Math.ceil(size / info.storageSize) * info.storageSize;
+    alignment = Math.max(alignment, info.storageSize);
+    fields[token.text] = field.meta = {...info, name: token.text, offset: size, token};
+    size += info.storageSize;
+  }
+
+  return {alignment, fields, size: Math.ceil(size / alignment) * alignment};
+}
+
+
+/*
+  This records a named constant definition (e.g. const LIMIT = 100).
+  Constants only exist at compile time - their values are worked out during validation, and every use of one is compiled as a literal,
+    so unlike immutable globals, they never take up a slot in the global index space.
+*/
+function defineConstant (node) {
+  let {token} = node.children[0];
+  let definition = constantDefinition(token, node.scope, null);
+  node.meta = definition;
+  node.scope.definitions.push(definition);
+}
+
+
+/*
+  This records an enum definition (e.g. enum Color {Red, Green = 5, Blue}).
+  Each member is a constant in its own right, but the members are only named through the enum (e.g. Color.Red), rather than being added to
+    the scope. A member without an explicit value is one more than the member before it (or 0, for the first member).
+*/
+function defineEnum (node) {
+  let [{token}, {children: members}] = node.children;
+  let {scope} = node;
+  let definition = {
+    ASType: ENUM,
+    docComment: token.docComment === undefined ? null : token.docComment,
+    exportName: null,
+    isGlobal: scope.isGlobal,
+    kind: "enum",
+    members: Object.create(null),
+    mutable: false,
+    name: token.text,
+    runType: "void",
+    scope,
+    token
+  };
+
+  let previous = null;
+  for (let member of members) {
+    let [{token: memberToken}, initializer = null] = member.ASType === MEMBER ? member.children : [member];
+    let memberDefinition = constantDefinition(memberToken, scope, initializer, previous);
+
+    if (definition.members[memberToken.text] !== undefined) {
+      throw new CompileError("Duplicate Enum Member", {first: definition.members[memberToken.text], second: memberDefinition});
+    } else if (initializer !== null && initializer.ASType === VARIABLE) {
+      // MEMBER creates a name on its left, so a name on its right didn't get recorded as a reference when it was placed.
+      scope.references.push(initializer);
+    }
+
+    definition.members[memberToken.text] = member.meta = previous = memberDefinition;
+  }
+
+  node.meta = definition;
+  scope.definitions.push(definition);
+}
+
+
+/*
+  This creates the definition of a named constant or enum member. The value is filled in during validation (see /compiler/validation.js).
+*/
+function constantDefinition (token, scope, initializer, previous = null) {
+  return {
+    ASType: CONST,
+    docComment: token.docComment === undefined ? null : token.docComment,
+    exportName: null,
+    initializer,
+    isGlobal: scope.isGlobal,
+    kind: "constant",
+    mutable: false,
+    name: token.text,
+    previous, // For enum members, this is the member before this one, if any.
+    runType: "void",
+    scope,
+    token,
+    value: null
+  };
+}
+
+
+/*
+  This records the loop that a label names (e.g. outer: loop {...}), for break, continue and yield to jump to (see /compiler/validation.js).
+  Labels of nested loops have to be different, so it's always clear which loop a label refers to.
+*/
+function defineLabel (node) {
+  let name = node.token.text.slice(0, -1);  // Remove the trailing ":".
+  let shadowed = enclosingLabel(node, name);
+  if (shadowed !== null) {
+    throw new CompileError("Shadowed Loop Label", {first: shadowed, second: node});
+  }
+
+  let loop = node.children[0];
+  if (loop.ASType === BLOCK) {  // For loops are wrapped in a block along with their initializer (see lowerLoop() below).
+    loop = loop.children[1];
+  }
+  node.meta = {loop, name};
+}
+
+
+/*
+  This returns the LABEL node for the enclosing loop with the given label, or null if there isn't one.
+  It's used while the loop is still being parsed, so the name is taken from the label's token (the definition isn't recorded until later).
+*/
+function enclosingLabel (node, name) {
+  for (let ancestor = node.parent; ancestor !== null; ancestor = ancestor.parent) {
+    if (ancestor.ASType === LABEL && ancestor.token.text.slice(0, -1) === name) {
+      return ancestor;
+    }
+  }
+  return null;
+}
+
+
+/*
+  This returns true if the last meaningful token before the one at the given index could be the end of an expression.
+*/
+function endsExpression (tokens, index) {
+  let previous = index - 1;
+  while (previous >= 0 && tokens[previous].ASType.skip) {
+    previous--;
+  }
+  return previous >= 0 && expressionEnds.includes(tokens[previous].ASType);
+}
+
+
+/*
+  This returns the (1-based) line number of the token at the given index, by counting the line breaks in the tokens before it.
+*/
+function lineNumber (tokens, index) {
+  return tokens.slice(0, index).reduce((line, {text}) => line + text.split("\n").length - 1, 1);
+}
+
+
+/*
+  This records the pointer type that a pointer cast produces (e.g. p as ptr i32_u8).
+  The cast and its pointer type share the information, so pointers to structs get filled in during name resolution, like definitions do.
+*/
+function definePointerCast (node) {
+  let ptr = node.children[1];
+  node.meta = ptr.meta = {ASType: PTR, runType: "i32", ...pointerTarget(ptr.children[0])};
+}
+
+
 /*
   This records the default memory store definition in the global scope object.
+  If the memory is wrapped in a "shared" modifier, that node gets the same definition, so imports can treat the two the same way.
 */
 function defineMemory (node) {
   let [initialSize, maxSize] = node.children;
+  let shared = node.parent.ASType === SHARED;
 
   if (node.scope.defaultMemory.length !== 0) {
     throw new CompileError("Duplicate Default Memory Definition", {first: node.scope.defaultMemory[0], second: node});
@@ -288,12 +579,16 @@ function defineMemory (node) {
     importSource: null,
     initialSize,
     maxSize,
+    shared,
     index: 0,
     exportName: null
   };
 
   node.scope.defaultMemory.push(definition);
   node.meta = definition;
+  if (shared) {
+    node.parent.meta = definition;
+  }
 }
 
 
@@ -316,7 +611,8 @@ function defineTable (node) {
     initialSize,
     maxSize,
     index: 0,
-    exportName: null
+    exportName: null,
+    elements: []  // The functions the table is initialized with (see the INIT_EXPR case in /compiler/validation.js).
   };
 
   node.scope.defaultTable.push(definition);
@@ -340,12 +636,30 @@ function place (node) {
   }
 
   // If the node is some kind of definition, now is a good time to record that in the scope.
-  if (ASType === DEFINITION || ASType === DECLARATION) {
+  if (ASType === FOR || ASType === WHILE) {
+    lowerLoop(node);  // These loops are just syntactic sugar, so we rewrite them in terms of more basic ASTypes.
+  } else if (ASType === ASSIGN && node.children[0].ASType === TUPLE) {
+    lowerDestructure(node);
+  } else if (ASType === CATCH) {
+    defineCatchNames(node);
+  } else if (ASType === DEFINITION || ASType === DECLARATION) {
     define(node);
+  } else if (ASType === CONST) {
+    defineConstant(node);
+  } else if (ASType === ENUM) {
+    defineEnum(node);
+  } else if (ASType === LABEL) {
+    defineLabel(node);
+  } else if (ASType === PTR_CAST) {
+    definePointerCast(node);
   } else if (ASType === DEFAULT_MEMORY) {
     defineMemory(node);
   } else if (ASType === DEFAULT_TABLE) {
     defineTable(node);
+  } else if ((ASType === ASSIGN || ASType === INIT_EXPR) && [CONST, DEFINITION].includes(node.children[0].ASType)) {
+    // Constants can be used before the definitions that give them a value, so their initializers are recorded up front
+    //  (see /compiler/validation.js).
+    node.children[0].meta.initializer = node.children[1];
   } else if (ASType.isReference && !parent.ASType.createsName) {  // If it's a reference to another definition, note that for resolution.
     node.scope.references.push(node);
   }
@@ -355,6 +669,111 @@ function place (node) {
 }
 
 
+/*
+  This rewrites while and for loops in terms of LOOP, IF, ELSE and BREAK nodes, so the rest of the compiler only has to deal with LOOP.
+    while (CONDITION) {...}
+  becomes
+    loop if (CONDITION) {...} else break
+  and
+    for (INIT; CONDITION; STEP) {...}
+  becomes
+    {INIT; loop if (CONDITION) {...} else break}
+  except that the LOOP node also gets STEP as a second child, which runs at the end of every iteration (including those ended by continue).
+  The nodes we create here get tokens of their own (copied from the while/for keyword), so the editor's AST tab shows the lowered form.
+*/
+function lowerLoop (node) {
+  let [header, body] = node.children;
+  let keyword = node.token;
+  let loop = node;
+  let step = [];
+
+  if (node.ASType === FOR) {
+    let [init, condition] = header.children;
+    step = header.children.slice(2);
+    header.children = [condition];  // The header parenthetical is re-used to hold just the condition.
+    node.ASType = BLOCK;
+    loop = createASTNode({...keyword, ASType: LOOP, text: "loop"}, node, LOOP);
+    adopt(node, [init, loop]);
+  } else {
+    node.ASType = LOOP;
+  }
+
+  let elseNode = createASTNode({...keyword, ASType: ELSE, text: "else"}, loop, ELSE);
+  let ifNode = createASTNode({...keyword, ASType: IF, text: "if"}, elseNode, IF);
+  let breakNode = createASTNode({...keyword, ASType: BREAK, text: "break"}, elseNode, BREAK);
+
+  adopt(ifNode, [header, body]);
+  adopt(elseNode, [ifNode, breakNode]);
+  adopt(loop, [elseNode, ...step]);
+}
+
+
+/*
+  This turns an assignment to a tuple of names (e.g. (q, r) = divmod(a, b)) into a DESTRUCTURE node.
+  Each name defines a new immutable local variable, which gets its runType from the value on the right (see /compiler/validation.js).
+  The names were recorded as references when they were placed in the tuple, before we knew better, so we take them back out of that list.
+*/
+function lowerDestructure (node) {
+  let scope = node.scope;
+  node.ASType = DESTRUCTURE;
+
+  for (let name of node.children[0].children) {
+    scope.references.splice(scope.references.indexOf(name), 1);
+    defineImmutableLocal(scope, name);
+  }
+}
+
+
+/*
+  The names listed in a catch clause (e.g. catch Oops (a, b) {...}) define a new immutable local variable for each value thrown with the tag.
+  These variables are only visible in the body of the catch clause, and get their runTypes from the tag (see /compiler/validation.js).
+*/
+function defineCatchNames (node) {
+  let [, , {children: names}, body] = node.children;
+  for (let name of names) {
+    defineImmutableLocal(body.scope, name);
+  }
+}
+
+
+/*
+  This records a new immutable local variable for a name node, used by lowerDestructure() and defineCatchNames() above.
+*/
+function defineImmutableLocal (scope, name) {
+  let definition = {
+    ASType: VALUE_TYPE,
+    docComment: null,
+    exportName: null,
+    isGlobal: scope.isGlobal,
+    importSource: null,
+    index: 0, // The actual positions in index space are set during code generation.
+    initializer: null,
+    kind: "global", // Ignore this, it's only used for exports.
+    mutable: false,
+    name: name.token.text,
+    runType: "void",  // Filled in during validation.
+    scope,
+    token: name.token
+  };
+
+  name.meta = definition;
+  scope.definitions.push(definition);
+  scope.variables.push(definition);
+}
+
+
+/*
+  This is a tiny utility used by lowerLoop() above, which makes node the parent of the given list of children.
+*/
+function adopt (node, children) {
+  for (let child of children) {
+    child.parent = node;
+  }
+  node.children = children;
+  node.complete = true;
+}
+
+
 /*
   This does name resolution, noting unresolvable references and duplicate definitions along the way.
 */
@@ -374,6 +793,13 @@ function resolve (scope) {
       throw new CompileError("Unresolvable Reference", {node: reference});
     }
     enforceReferenceSemantics(reference);
+
+    if (reference.parent.ASType === PTR) {
+      // Pointers to structs can't be completely defined until the struct's name has been resolved.
+      let pointer = reference.parent.meta;
+      pointer.struct = reference.meta;
+      pointer.storageSize = reference.meta.size;
+    }
   }
 
   for (let child of scope.children) {
@@ -412,8 +838,26 @@ function enforceReferenceSemantics (reference) {
   let refType = reference.meta.ASType;
 
   if (reference.parent.ASType === EXPORT || reference.parent.ASType === AS) return; // We can export any type.
+  if (reference.parent.ASType === LIST) return; // Lists can contain functions or not, depending on their use (see /compiler/validation.js).
+  if (reference.parent.ASType === ARG_LIST && reference.parent.parent.ASType === BUILTIN_CALL) return; // Checked during validation.
+  if (reference.parent.ASType === TYPE_LIST) return;  // Only sizeof and alignof take names here, which is checked during validation.
     
-  if (reference.ASType === VARIABLE && (refType === FN || refType === FN_SIGNATURE)) {
+  if (reference.parent.ASType === PTR) {
+    if (refType !== STRUCT) {
+      throw new CompileError("Bad Reference: Not a Struct", {node: reference});
+    }
+  } else if (reference.parent.ASType === CATCH || reference.parent.ASType === THROW) {
+    if (refType !== TAG) {
+      throw new CompileError("Bad Reference: Not a Tag", {node: reference});
+    }
+  } else if (reference.parent.ASType === FIELD_ACCESS && reference.ASType === VARIABLE) {
+    if (refType !== ENUM) {
+      throw new CompileError("Bad Reference: Not an Enum", {node: reference});
+    }
+  } else if (reference.ASType === VARIABLE && [ENUM, FN, FN_SIGNATURE, STRUCT, TAG].includes(refType)) {
+    throw new CompileError("Bad Reference: Not a Variable", {node: reference});
+  } else if (reference.ASType === VARIABLE && refType === PASSIVE && reference.parent.ASType !== LENGTH_OF) {
+    // Passive data segments can only be named by length_of and built-in functions like memory_init.
     throw new CompileError("Bad Reference: Not a Variable", {node: reference});
   } else if (reference.ASType === CALL && refType !== FN && refType !== FN_SIGNATURE && refType !== FN_PTR) {
     throw new CompileError("Bad Reference: Not a Function", {node: reference});
@@ -423,23 +867,6 @@ function enforceReferenceSemantics (reference) {
 }
 
 
-/*
-  WebAssembly modules have a list of function signatures, referred to by numeric index.
-  This function takes the components of a function signature (its parameters and return type) finds or creates an entry in that list,
-    and returns the relevant index.
-*/
-function functionSignatureIndex (scope, paramTypes, returnType) {
-  let signature = [returnType, ...paramTypes];
-  let signatureKey = signature.join(",");
-  let index = scope.functionSignatureIndexMap[signatureKey];
-  if (index === undefined) {
-    index = scope.functionSignatureIndexMap[signatureKey] = scope.functionSignatures.length;
-    scope.functionSignatures.push(signature);
-  }
-  return index;
-}
-
-
 // The following lines are sometimes useful for debugging purposes.
 // Since the ASTypes are normal objects, it can be hard to tell which is which in a debugger.
 // Uncomment these lines to assign a label to each ASType in /compiler/syntax.js corresponding to its export name.
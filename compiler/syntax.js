@@ -33,6 +33,7 @@ export const ALLOCATE_PAGES = {};
 export const AND = {};
 export const ARG_LIST = {};
 export const AS = {};
+export const ASSERT = {};
 export const ASSIGN = {};
 export const BAD_TOKEN = {};
 export const BITWISE_AND = {};
@@ -42,24 +43,40 @@ export const BITWISE_XOR = {};
 export const BLOCK = {};
 export const BLOCK_CLOSE = {};
 export const BREAK = {};
+export const BUILTIN_CALL = {};
 export const CALL = {};
+export const CASE = {};
+export const CATCH = {};
+export const CASE_LIST = {};
 export const COMMA = {};
 export const COMMENT = {};
+export const COMPOUND_ASSIGN = {};
+export const CONST = {};
+export const CONSTANT = {};  // Never produced by the parser - constant expressions are folded into these during validation.
 export const CONTINUE = {};
+export const DATA_END = {};
 export const DECLARATION = {};
+export const DEFAULT_CASE = {};
 export const DEFAULT_MEMORY = {};
 export const DEFAULT_TABLE = {};
 export const DEFINITION = {};
+export const DESTRUCTURE = {};
+export const DOC_COMMENT = {};
 export const ELSE = {};
 export const END_OF_INPUT = {};
+export const ENUM = {};
 export const EQ_COMPARISON = {};
 export const EXPORT = {};
 export const EXPORT_TYPE = {};
 export const F32_LITERAL = {};
 export const F64_LITERAL = {};
+export const FIELD = {};
+export const FIELD_ACCESS = {};
+export const FIELD_LIST = {};
 export const FN = {};
 export const FN_PTR = {};
 export const FN_SIGNATURE = {};
+export const FOR = {};
 export const FROM = {};
 export const I32_LITERAL = {};
 export const I64_LITERAL = {};
@@ -67,9 +84,17 @@ export const IF = {};
 export const IMMUTABLE = {};
 export const IMPORT = {};
 export const INIT_EXPR = {};
+export const LABEL = {};
+export const LENGTH_OF = {};
+export const LIST = {};
 export const LOOP = {};
+export const MATCH = {};
+export const MEMBER = {};
+export const MEMBER_LIST = {};
 export const MEMORY_ACCESS = {};
 export const MISC_INFIX = {};
+export const MUTABLE = {};
+export const NAME_LIST = {};
 export const NEG = {};
 export const OR = {};
 export const ORDER_COMPARISON = {};
@@ -78,20 +103,32 @@ export const PARAM_LIST = {};
 export const PAREN = {};
 export const PAREN_CLOSE = {};
 export const PASS = {};
+export const PASSIVE = {};
 export const PTR = {};
+export const PTR_CAST = {};
 export const RETURN = {};
 export const ROOT = {};
 export const SCALE_OP = {};
 export const SEMICOLON = {};
+export const SHARED = {};
+export const SIMD_OP = {};
+export const SIZE_OF = {};
 export const STRING = {};
 export const STORAGE_TYPE = {};
+export const STRUCT = {};
 export const SUB = {};
 export const SUFFIX_OP = {};
+export const TAG = {};
+export const THROW = {};
+export const TRY = {};
+export const TUPLE = {};
 export const TYPE_LIST = {};
 export const UNARY_MATH_OP = {};
+export const UNREACHABLE = {};
 export const VALUE_TYPE = {};
 export const VARIABLE = {};
 export const VOID = {};
+export const WHILE = {};
 export const WS = {};
 export const YIELD = {};
 
@@ -138,7 +175,7 @@ recordProperties([
   },
 
   // The following array is automatically populated by a script.
-  [ /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */ ],
+  [ /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */ ],
 ]);
 
 
@@ -151,49 +188,51 @@ recordProperties(
   // Prefix Operators
   
   [operands(0, 1),
-    [ALLOCATE_PAGES, CALL, EXPORT, IMMUTABLE, LOOP, MEMORY_ACCESS, NEG, UNARY_MATH_OP, PTR, RETURN, YIELD]],
+    [ALLOCATE_PAGES, ASSERT, BUILTIN_CALL, CALL, CONST, EXPORT, IMMUTABLE, LABEL, LENGTH_OF, LOOP, MEMORY_ACCESS, MUTABLE, NEG, UNARY_MATH_OP, PASSIVE, PTR, RETURN, SHARED, SIMD_OP, SIZE_OF, STRUCT, TAG, THROW, TRY, YIELD]],
   [operands(0, 2),
-    [DEFAULT_MEMORY, DEFAULT_TABLE, FN_PTR, FN_SIGNATURE, IF]],
+    [DEFAULT_MEMORY, DEFAULT_TABLE, ENUM, FN_PTR, FN_SIGNATURE, FOR, IF, MATCH, WHILE]],
   [operands(0, 3),
     [FN, IMPORT]],
+  [operands(1, 3),
+    [CATCH]],
   [operands(1, 0),
-    [SUFFIX_OP]],
+    [FIELD_ACCESS, SUFFIX_OP]],
   
   // Infix Operators
 
   [operands(1, 1),
-    [DEFINITION, DECLARATION, SCALE_OP, ADD, AS, MISC_INFIX, SUB, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, ORDER_COMPARISON, EQ_COMPARISON, AND, OR, ASSIGN, ELSE, INIT_EXPR]],
+    [CASE, DEFINITION, DECLARATION, DESTRUCTURE, FIELD, SCALE_OP, ADD, AS, MISC_INFIX, PTR_CAST, SUB, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, ORDER_COMPARISON, EQ_COMPARISON, AND, OR, ASSIGN, COMPOUND_ASSIGN, ELSE, INIT_EXPR, MEMBER]],
 
   // Open Expressions (various paren types, blocks, etc.) and their terminators
   [{expectedChildCount: Infinity},
-    [ADDRESS, ARG_LIST, BLOCK, PARAM_LIST, PAREN, ROOT, TYPE_LIST]],
+    [ADDRESS, ARG_LIST, BLOCK, CASE_LIST, FIELD_LIST, LIST, MEMBER_LIST, NAME_LIST, PARAM_LIST, PAREN, ROOT, TUPLE, TYPE_LIST]],
   [{ignoresTerminator: COMMA},
-    [ARG_LIST, PARAM_LIST, TYPE_LIST]],
+    [ARG_LIST, CASE_LIST, FIELD_LIST, LIST, MEMBER_LIST, NAME_LIST, PARAM_LIST, TUPLE, TYPE_LIST]],
   [{ignoresTerminator: SEMICOLON},
     [ADDRESS, BLOCK, PAREN, ROOT]],
   [{requiresTerminator: ADDRESS_CLOSE},
-    [ADDRESS]],
+    [ADDRESS, LIST]],
   [{requiresTerminator: BLOCK_CLOSE},
-    [BLOCK]],
+    [BLOCK, CASE_LIST, MEMBER_LIST]],
   [{requiresTerminator: END_OF_INPUT},
     [ROOT]],
   [{requiresTerminator: PAREN_CLOSE},
-    [ARG_LIST, PARAM_LIST, PAREN, TYPE_LIST]],
+    [ARG_LIST, FIELD_LIST, NAME_LIST, PARAM_LIST, PAREN, TUPLE, TYPE_LIST]],
   [{isTerminator: true},
     [BLOCK_CLOSE, COMMA, END_OF_INPUT, ADDRESS_CLOSE, PAREN_CLOSE, SEMICOLON]],
 
   // Other Properties
 
   [{createsName: true},
-    [DECLARATION, DEFINITION]],
+    [CONST, DECLARATION, DEFINITION, ENUM, FIELD, MEMBER, MEMBER_LIST, NAME_LIST]],  // MEMBER only names its left operand (see defineEnum() in /compiler/parser.js).
   [{createsNewScope: true},
-    [BLOCK, FN, LOOP, ROOT]],
+    [BLOCK, FN, FOR, LOOP, ROOT, WHILE]],
   [{isReference: true},
     [CALL, MEMORY_ACCESS, VARIABLE]],
   [{rightAssociative: true},
-    [ASSIGN, ELSE, INIT_EXPR]],
+    [ASSIGN, COMPOUND_ASSIGN, ELSE, INIT_EXPR, MEMBER]],
   [{skip: true},
-    [COMMENT, WS]]
+    [COMMENT, DOC_COMMENT, WS]]
 );
 
 
@@ -240,33 +279,71 @@ function CTCByPos (...positions) {
   };
 }
 
-ASSIGN.CTC          = CTCByPos([DEFINITION, VARIABLE, MEMORY_ACCESS]);  // The right operand of ASSIGN isn't constrained.
 AS.CTC              = CTCByPos([EXPORT_TYPE, VARIABLE], [STRING]);
-DECLARATION.CTC     = CTCByPos([VARIABLE], [FN_PTR, FN_SIGNATURE, IMMUTABLE, PTR, VALUE_TYPE]);
-DEFAULT_MEMORY.CTC  = CTCByPos([I32_LITERAL], [I32_LITERAL, VOID]);
-DEFAULT_TABLE.CTC   = CTCByPos([I32_LITERAL], [I32_LITERAL, VOID]);
-DEFINITION.CTC      = CTCByPos([VARIABLE], [FN, FN_PTR, IMMUTABLE, PTR, VALUE_TYPE]);
-ELSE.CTC            = CTCByPos([IF], [BLOCK, BREAK, CONTINUE, IF, ELSE]);
+CASE.CTC            = CTCByPos([DEFAULT_CASE, FIELD_ACCESS, I32_LITERAL, NEG, PAREN, VARIABLE], [BLOCK]);  // Labels can be constant expressions.
+ASSERT.CTC          = CTCByPos([PAREN]);
+CATCH.CTC           = CTCByPos([CATCH, TRY], [VARIABLE], [NAME_LIST], [BLOCK]);  // The VARIABLE here names a tag.
+COMPOUND_ASSIGN.CTC = CTCByPos([FIELD_ACCESS, MEMORY_ACCESS, VARIABLE]);
+CONST.CTC           = CTCByPos([VARIABLE]);
+DECLARATION.CTC     = CTCByPos([VARIABLE], [FN_PTR, FN_SIGNATURE, IMMUTABLE, MUTABLE, PTR, TAG, VALUE_TYPE]);
+DEFAULT_MEMORY.CTC  = CTCByPos([I32_LITERAL, PAREN, VARIABLE], [I32_LITERAL, PAREN, VARIABLE, VOID]);
+DEFAULT_TABLE.CTC   = CTCByPos([I32_LITERAL, PAREN, VARIABLE], [I32_LITERAL, PAREN, VARIABLE, VOID]);
+DEFINITION.CTC      = CTCByPos([VARIABLE], [FN, FN_PTR, IMMUTABLE, PASSIVE, PTR, STRUCT, TAG, VALUE_TYPE]);
+ELSE.CTC            = CTCByPos([IF], [BLOCK, BREAK, CONTINUE, IF, ELSE, UNREACHABLE]);
+ENUM.CTC            = CTCByPos([VARIABLE], [MEMBER_LIST]);
 EXPORT.CTC          = CTCByPos([AS, VARIABLE]);
-FN.CTC              = CTCByPos([PARAM_LIST], [VALUE_TYPE, VOID], [BLOCK]);
-FN_PTR.CTC          = CTCByPos([TYPE_LIST], [VALUE_TYPE, VOID]);
-FN_SIGNATURE.CTC    = CTCByPos([TYPE_LIST], [VALUE_TYPE, VOID]);
-IF.CTC              = CTCByPos([PAREN], [BLOCK, BREAK, CONTINUE]);
+FIELD.CTC           = CTCByPos([VARIABLE], [STORAGE_TYPE, VALUE_TYPE]);
+FIELD_ACCESS.CTC    = CTCByPos([MEMORY_ACCESS, VARIABLE]);  // A VARIABLE here names an enum (e.g. Color.Red).
+FN.CTC              = CTCByPos([PARAM_LIST], [TYPE_LIST, VALUE_TYPE, VOID], [BLOCK]); // A TYPE_LIST here lists multiple return types.
+FN_PTR.CTC          = CTCByPos([TYPE_LIST], [TYPE_LIST, VALUE_TYPE, VOID]);
+FN_SIGNATURE.CTC    = CTCByPos([TYPE_LIST], [TYPE_LIST, VALUE_TYPE, VOID]);
+IF.CTC              = CTCByPos([PAREN], [BLOCK, BREAK, CONTINUE, UNREACHABLE]);
 IMMUTABLE.CTC       = CTCByPos([FN_PTR, PTR, VALUE_TYPE]);
-IMPORT.CTC          = CTCByPos([DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE], [FROM], [STRING]);
-INIT_EXPR.CTC       = CTCByPos([DEFINITION], [F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL, VARIABLE]);
+IMPORT.CTC          = CTCByPos([DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, SHARED], [FROM], [STRING]);
+INIT_EXPR.CTC       = CTCByPos([CONST, DEFAULT_TABLE, DEFINITION]);  // The initial value has to be constant, which is checked during validation.
+LENGTH_OF.CTC       = CTCByPos([LIST, STRING, VARIABLE]);  // A VARIABLE here names a passive data segment.
 LOOP.CTC            = CTCByPos([BLOCK, ELSE, IF]);
-NEG.CTC             = CTCByPos([F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL]);
-PTR.CTC             = CTCByPos([STORAGE_TYPE, VALUE_TYPE]);
-SUFFIX_OP.CTC       = CTCByPos([VARIABLE]);
+MATCH.CTC           = CTCByPos([PAREN], [CASE_LIST]);
+MEMBER.CTC          = CTCByPos([VARIABLE]);
+MUTABLE.CTC         = CTCByPos([PTR, VALUE_TYPE]);
+PASSIVE.CTC         = CTCByPos([LIST, STRING]);
+PTR.CTC             = CTCByPos([STORAGE_TYPE, VALUE_TYPE, VARIABLE]);  // A VARIABLE here names a struct type.
+PTR_CAST.CTC        = (node) => node.children[1].ASType === PTR ? null : {position: 1, child: node.children[1]};  // The left side can be any pointer expression (checked in validation).
+SHARED.CTC          = CTCByPos([DEFAULT_MEMORY]);
+STRUCT.CTC          = CTCByPos([FIELD_LIST]);
+SUFFIX_OP.CTC       = CTCByPos([FIELD_ACCESS, MEMORY_ACCESS, VARIABLE]);
+TAG.CTC             = CTCByPos([TYPE_LIST]);
+THROW.CTC           = CTCByPos([CALL]);  // The CALL here names a tag, and its arguments are the values thrown along with it.
+TRY.CTC             = CTCByPos([BLOCK]);
+WHILE.CTC           = CTCByPos([PAREN], [BLOCK]);
 
 /*
-  NOTE: The following CALL and MEMORY_ACCESS rules technically hold, but they don't need to be explicitly enforced because the lexer and
-    parser conspire to make them impossible to violate in practice.
-      See the lexification regex for CALL and the way PAREN becomes ARG_LIST in getASType (defined below) to get an idea of why.
+  FOR is positional too, but the parenthetical that follows the "for" keyword also needs exactly three parts - the initializer, condition and
+    step expressions, separated by semicolons (e.g. for (i: i32 = 0; i < 10; i++) {...}).
+*/
+const forPositions  = CTCByPos([PAREN], [BLOCK]);
+FOR.CTC             = (node) => node.children[0].children.length === 3 ? forPositions(node) : {position: 0, child: node.children[0]};
+
+/*
+  The right operand of ASSIGN isn't constrained, but the left operand may be a tuple of names (e.g. (q, r) = divmod(a, b)),
+    in which case it's a destructuring assignment that defines a new variable for each name (see lowerDestructure() in /compiler/parser.js).
+*/
+const assignPositions = CTCByPos([CONST, DEFINITION, FIELD_ACCESS, MEMORY_ACCESS, TUPLE, VARIABLE]);
+const tupleNames    = CTCForAll(VARIABLE);
+ASSIGN.CTC          = (node) => assignPositions(node) || (node.children[0].ASType === TUPLE ? tupleNames(node.children[0]) : null);
 
+/*
+  NOTE: The following rules technically hold, but they don't need to be explicitly enforced because the lexer and parser conspire to make
+    them impossible to violate in practice.
+      See the lexification regexes for CALL and LABEL and the way PAREN becomes ARG_LIST (or TYPE_LIST) in getASType (defined below) to get an idea of why.
+    (By the time a LABEL is placed, a for or while loop underneath it has already been rewritten - see lowerLoop() in /compiler/parser.js.)
+
+  BUILTIN_CALL.CTC    = CTCByPos([ARG_LIST]);
   CALL.CTC            = CTCByPos([ARG_LIST]);
+  LABEL.CTC           = CTCByPos([FOR, LOOP, WHILE]);
   MEMORY_ACCESS.CTC   = CTCByPos([ADDRESS]);
+  SIMD_OP.CTC         = CTCByPos([ARG_LIST]);
+  SIZE_OF.CTC         = CTCByPos([TYPE_LIST]);
 */
 
 /*
@@ -285,12 +362,42 @@ function CTCForAll (...acceptableTypes) {
   };
 }
 
+// Byte lists contain integer constants, table initializers contain function names.
+LIST.CTC            = CTCForAll(ADD, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, FIELD_ACCESS, I32_LITERAL, NEG, PAREN, SCALE_OP, SUB, VARIABLE);
+FIELD_LIST.CTC      = CTCForAll(FIELD);
+MEMBER_LIST.CTC     = CTCForAll(MEMBER, VARIABLE);  // Enum members may or may not have an explicit value (e.g. enum Color {Red, Green = 5}).
+NAME_LIST.CTC       = CTCForAll(VARIABLE);
 PARAM_LIST.CTC      = CTCForAll(DECLARATION);
-ROOT.CTC            = CTCForAll(DEFINITION, DEFAULT_MEMORY, DEFAULT_TABLE, EXPORT, IMPORT, INIT_EXPR);
-TYPE_LIST.CTC       = CTCForAll(VALUE_TYPE);
+ROOT.CTC            = CTCForAll(DEFINITION, DEFAULT_MEMORY, DEFAULT_TABLE, ENUM, EXPORT, IMPORT, INIT_EXPR, SHARED);
 
-// ADDRESS is a special case, as it has a variable (but bounded) number of children and an ASType constraint only on the second child.
-ADDRESS.CTC         = ({children}) => (children.length === 1 || (children.length === 2 && children[1].ASType === I32_LITERAL)) ? null : {};
+/*
+  The arms of a match (e.g. 0 => {...}) are separated by whitespace, but an arm with several case labels (e.g. 1, 2 => {...}) shows up as a
+    series of bare labels followed by a CASE, since commas separate children of the CASE_LIST. So the list can't end with a bare label.
+*/
+const caseListTypes = CTCForAll(CASE, FIELD_ACCESS, I32_LITERAL, NEG, PAREN, VARIABLE);
+CASE_LIST.CTC       = (node) => {
+  let lastChild = node.children[node.children.length - 1];
+  return lastChild !== undefined && lastChild.ASType !== CASE ? {child: lastChild} : caseListTypes(node);
+};
+
+/*
+  The types listed after sizeof or alignof (e.g. sizeof(i64_u16)) are a little different - there's exactly one of them, and it can also be a
+    storage type, or a name (of a struct type or a variable, see the SIZE_OF case in /compiler/validation.js).
+*/
+const valueTypeList = CTCForAll(VALUE_TYPE);
+const sizeOperand   = CTCForAll(STORAGE_TYPE, VALUE_TYPE, VARIABLE);
+TYPE_LIST.CTC       = (node) => {
+  if (node.parent.ASType !== SIZE_OF) {
+    return valueTypeList(node);
+  }
+  return node.children.length === 1 ? sizeOperand(node) : {};
+};
+
+// ADDRESS is a special case, as it has a variable (but bounded) number of children. The second child (an offset) has to be constant, but
+//  that's checked during validation, since it can be a constant expression (see foldConstant() in /compiler/validation.js).
+ADDRESS.CTC         = ({children}) => (children.length === 1 || children.length === 2) ? null : {};
+// A tuple can hold any expressions, but there have to be at least two of them (a single value in parentheses is just a PAREN).
+TUPLE.CTC           = ({children}) => children.length >= 2 ? null : {};
 
 /*
   Parent Type Constaints (PTC)
@@ -337,21 +444,36 @@ function PTCByPos (...positions) {
 
 ADDRESS.PTC         = PTCByPos([MEMORY_ACCESS, 0]);
 AS.PTC              = PTCByPos([EXPORT, 0]);
+ASSERT.PTC          = PTCByPos([BLOCK, null]);
 BREAK.PTC           = PTCByPos([BLOCK, null], [IF, 1], [ELSE, 1]);
+CASE.PTC            = PTCByPos([CASE_LIST, null]);
+CONST.PTC           = PTCByPos([ASSIGN, 0], [INIT_EXPR, 0]);
 CONTINUE.PTC        = PTCByPos([BLOCK, null], [IF, 1], [ELSE, 1]);
-DEFAULT_MEMORY.PTC  = PTCByPos([ROOT, null], [IMPORT, 0]);
-DEFAULT_TABLE.PTC   = PTCByPos([ROOT, null], [IMPORT, 0]);
+DEFAULT_MEMORY.PTC  = PTCByPos([ROOT, null], [IMPORT, 0], [SHARED, 0]);
+DEFAULT_TABLE.PTC   = PTCByPos([ROOT, null], [IMPORT, 0], [INIT_EXPR, 0]);
+ENUM.PTC            = PTCByPos([BLOCK, null], [ROOT, null]);
 EXPORT.PTC          = PTCByPos([ROOT, null]);
 FN.PTC              = PTCByPos([DEFINITION, 1]);
 FN_PTR.PTC          = PTCByPos([DEFINITION, 1], [DECLARATION, 1]);
 FROM.PTC            = PTCByPos([IMPORT, 1]);
-IMMUTABLE.PTC       = PTCByPos([DEFINITION, 1]);
+IMMUTABLE.PTC       = PTCByPos([DECLARATION, 1], [DEFINITION, 1]);
 IMPORT.PTC          = PTCByPos([ROOT, null]);
-PTR.PTC             = PTCByPos([DECLARATION, 1], [DEFINITION, 1], [IMMUTABLE, 0]);
+MUTABLE.PTC         = PTCByPos([DECLARATION, 1]);  // Only imported globals need it, since other variables are mutable by default.
+PASS.PTC            = PTCByPos([BLOCK, null]);
+PASSIVE.PTC         = PTCByPos([DEFINITION, 1]);
+PTR.PTC             = PTCByPos([DECLARATION, 1], [DEFINITION, 1], [IMMUTABLE, 0], [MUTABLE, 0], [PTR_CAST, 1]);
 RETURN.PTC          = PTCByPos([BLOCK, null]);
-STRING.PTC          = PTCByPos([IMPORT, 2], [AS, 1]);
-STORAGE_TYPE.PTC    = PTCByPos([PTR, 0]);
-VALUE_TYPE.PTC      = PTCByPos([DECLARATION, 1], [DEFINITION, 1], [FN, 1], [FN_PTR, 1], [FN_SIGNATURE, 1], [IMMUTABLE, 0], [PTR, 0], [TYPE_LIST, null],);
+SHARED.PTC          = PTCByPos([ROOT, null], [IMPORT, 0]);
+// Strings name imports and exports, and elsewhere they're stored in memory and stand for their address (see /compiler/validation.js).
+STRING.PTC          = PTCByPos([AS, 1], [IMPORT, 2], [ARG_LIST, null], [ASSIGN, 1], [BLOCK, null], [INIT_EXPR, 1], [LENGTH_OF, 0], [PAREN, null],
+                                [PASSIVE, 0], [RETURN, 0], [TUPLE, null], [YIELD, 0]);
+STORAGE_TYPE.PTC    = PTCByPos([FIELD, 1], [PTR, 0], [TYPE_LIST, 0]);  // Only sizeof and alignof take storage types in a TYPE_LIST.
+STRUCT.PTC          = PTCByPos([DEFINITION, 1]);
+TAG.PTC             = PTCByPos([DECLARATION, 1], [DEFINITION, 1]);
+THROW.PTC           = PTCByPos([BLOCK, null]);
+TRY.PTC             = PTCByPos([CATCH, 0]); // A try needs at least one catch.
+UNREACHABLE.PTC     = PTCByPos([BLOCK, null], [IF, 1], [ELSE, 1]);
+VALUE_TYPE.PTC      = PTCByPos([DECLARATION, 1], [DEFINITION, 1], [FIELD, 1], [FN, 1], [FN_PTR, 1], [FN_SIGNATURE, 1], [IMMUTABLE, 0], [MUTABLE, 0], [PTR, 0], [TYPE_LIST, null],);
 VOID.PTC            = PTCByPos([FN, 1], [FN_PTR, 1], [FN_SIGNATURE, 1], [DEFAULT_MEMORY, 1], [DEFAULT_TABLE, 1]);
 YIELD.PTC           = PTCByPos([BLOCK, null]);
 
@@ -362,13 +484,20 @@ YIELD.PTC           = PTCByPos([BLOCK, null]);
   E.g. INIT_EXPR only appears when getASType (see below) overrides an ASSIGN because the parent has type ROOT,
     so we don't need to enforce the implicit constraint that the parent node must have type ROOT.
 
-  ARG_LIST.PTC        = PTCByPos([CALL, 0]);
+  ARG_LIST.PTC        = PTCByPos([BUILTIN_CALL, 0], [CALL, 0], [SIMD_OP, 0]);
+  CASE_LIST.PTC       = PTCByPos([MATCH, 1]);
   DECLARATION.PTC      = PTCByPos([IMPORT, 0]);
+  DEFAULT_CASE.PTC    = PTCByPos([CASE, 0]);
   EXPORT_TYPE.PTC     = PTCByPos([AS, 0]);
+  FIELD.PTC           = PTCByPos([FIELD_LIST, null]);
+  FIELD_LIST.PTC      = PTCByPos([STRUCT, 0]);
   FN_SIGNATURE.PTC    = PTCByPos([DECLARATION, 1]);
   INIT_EXPR.PTC       = PTCByPos([ROOT, null]);
+  MEMBER.PTC          = PTCByPos([MEMBER_LIST, null]);
+  MEMBER_LIST.PTC     = PTCByPos([ENUM, 1]);
+  NAME_LIST.PTC       = PTCByPos([CATCH, 2]);
   PARAM_LIST.PTC      = PTCByPos([FN, 1]);
-  TYPE_LIST.PTC       = PTCByPos([FN_SIGNATURE, 1], [FN_PTR, 1]);
+  TYPE_LIST.PTC       = PTCByPos([FN, 1], [FN_SIGNATURE, null], [FN_PTR, null], [SIZE_OF, 0], [TAG, 0]);
 */
 
 
@@ -400,6 +529,11 @@ YIELD.PTC           = PTCByPos([BLOCK, null]);
     DEFINITION and DECLARATION need to go before IMPORT.
     AS needs to go before EXPORT.
     IF needs to go before ELSE, which needs to go before LOOP.
+    TRY needs to go before CATCH, which needs to go before the math operators, so that try/catch can be used as an operand.
+    FIELD_ACCESS needs to share a tier with MEMORY_ACCESS, so that in p[i].x the field access claims p[i] rather than stealing its address.
+    CASE needs to go before the infix operators, so that the body of one match arm is never claimed as an operand by the start of the next
+      (e.g. 0 => {...} - 1), but after unary minus, so that a negative label keeps its sign (e.g. -1 => {...}).
+      The "else" that starts a default arm would claim the previous body too, so getASType (below) reinterprets it first.
     Keyword prefix operators that take operands that are dynamically computed expressions should generally go after the math operators.
   
   Most of the rest of the order reflects the familiar operator precedence hierarchy inherited from languages like C.
@@ -411,11 +545,13 @@ YIELD.PTC           = PTCByPos([BLOCK, null]);
 */
 
 [
-  [DEFINITION, DECLARATION, AS],
-  [CALL, DEFAULT_MEMORY, DEFAULT_TABLE, FN, FN_PTR, FN_SIGNATURE, EXPORT, IF, IMMUTABLE, IMPORT, MEMORY_ACCESS, PTR],
+  [DEFINITION, DECLARATION, AS, FIELD, PTR_CAST],
+  [ASSERT, BUILTIN_CALL, CALL, CONST, DEFAULT_MEMORY, DEFAULT_TABLE, ENUM, FIELD_ACCESS, FN, FN_PTR, FN_SIGNATURE, EXPORT, FOR, IF, IMMUTABLE, IMPORT, LABEL, LENGTH_OF, MATCH, MEMORY_ACCESS, MUTABLE, PASSIVE, PTR, SHARED, SIMD_OP, SIZE_OF, STRUCT, TAG, TRY, WHILE],
   [ELSE],
+  [CATCH],
   [SUFFIX_OP],
   [LOOP, NEG, UNARY_MATH_OP],
+  [CASE],
   [SCALE_OP],
   [ADD, SUB],
   [MISC_INFIX],
@@ -427,8 +563,8 @@ YIELD.PTC           = PTCByPos([BLOCK, null]);
   [BITWISE_OR],
   [AND],
   [OR],
-  [ASSIGN, INIT_EXPR],
-  [ALLOCATE_PAGES, RETURN, YIELD]
+  [ASSIGN, COMPOUND_ASSIGN, INIT_EXPR, MEMBER],
+  [ALLOCATE_PAGES, RETURN, THROW, YIELD]
 ].forEach((tier, precedence, tiers) => {
   for (let type of tier) {
     type.precedence = tiers.length - precedence;
@@ -443,9 +579,10 @@ YIELD.PTC           = PTCByPos([BLOCK, null]);
 
 /*
   This function determines the ASType of the nodes generated by the parser.
-  It has two parameters:
+  It has three parameters:
     ASType: the lexer's guess at the node's ASType
     parentType: the ASType of the node's (initial) parent
+    position: the position the node would take among its parent's children (optional, only used when the parser creates a node)
 
   The following is an important feature of the syntax of WebBS:
     All of the information required to decide the ASType of a node to generate can be determined lexically, by the preceding tokens.
@@ -474,20 +611,48 @@ YIELD.PTC           = PTCByPos([BLOCK, null]);
     So basic syntax highlighting shouldn't depend on reinterpretation, because the editor won't ever see the new ASType.
     This is another potential issue that could be solved with a modal lexer.
 */
-export function getASType (ASType, parentType) {
+export function getASType (ASType, parentType, position) {
   if (ASType === PAREN) {
     // Parentheses are used for various types of things with different syntactical and semantic constraints, so we disambiguate those.
     if (parentType === FN) {
-      // As part of a function definition, a parenthetical is a list of named parameter definitions.
-      return PARAM_LIST;
+      // As part of a function definition, a parenthetical is a list of named parameter definitions,
+      //  unless it follows the parameters, in which case it's a list of return types.
+      return position === 1 ? TYPE_LIST : PARAM_LIST;
     
-    } else if (parentType === CALL) {
-      // Following a function call, a parenthetical is a list of function arguments.
+    } else if (parentType === CALL || parentType === BUILTIN_CALL || parentType === SIMD_OP) {
+      // Following a function call (or a SIMD operator, which is written like one), a parenthetical is a list of function arguments.
       return ARG_LIST;
 
-    } else if (parentType === FN_PTR || parentType === FN_SIGNATURE) {
-      // As part of an imported function definition, a parenthetical is a list of parameter types (without names).
+    } else if (parentType === FN_PTR || parentType === FN_SIGNATURE || parentType === SIZE_OF || parentType === TAG) {
+      // As part of an imported function definition, a parenthetical is a list of parameter (or return) types (without names).
+      // Tags are similar - their parenthetical lists the types of the values that are thrown along with them.
+      // Likewise, sizeof and alignof are followed by the type they measure (e.g. sizeof(i64_u16)).
       return TYPE_LIST;
+
+    } else if (parentType === CATCH) {
+      // Following the tag in a catch clause, a parenthetical is a list of names for the values that were thrown along with it.
+      return NAME_LIST;
+
+    } else if (parentType === STRUCT) {
+      // As part of a struct definition, a parenthetical is a list of named fields.
+      return FIELD_LIST;
+    }
+
+  } else if (ASType === AS && parentType !== EXPORT) {
+    // Outside of an export, "as" casts a pointer to another pointer type (e.g. p as ptr i32_u8), rather than renaming something.
+    return PTR_CAST;
+
+  } else if (parentType === MATCH) {
+    // Following a match, a block is a list of match arms rather than a sequence of expressions.
+    if (ASType === BLOCK) {
+      return CASE_LIST;
+    }
+
+  } else if (parentType === CASE_LIST || parentType === CASE) {
+    // Among the match arms, "else" labels the default arm, rather than attaching to an "if".
+    // (It's seen following a CASE when it comes right after the body of the previous arm.)
+    if (ASType === ELSE) {
+      return DEFAULT_CASE;
     }
 
   } else if (parentType === IMPORT || parentType === PARAM_LIST) {
@@ -495,7 +660,31 @@ export function getASType (ASType, parentType) {
     if (ASType === DEFINITION) {
       return DECLARATION;
     }
+
+  } else if (parentType === ENUM) {
+    // Following an enum's name, a block is a list of its members.
+    if (ASType === BLOCK) {
+      return MEMBER_LIST;
+    }
+
+  } else if (parentType === MEMBER_LIST) {
+    // An enum member can be given an explicit value, which looks like an assignment (e.g. enum Color {Red, Green = 5}).
+    if (ASType === ASSIGN) {
+      return MEMBER;
+    }
+
+  } else if (parentType === FIELD_LIST) {
+    // Struct fields name a location in memory relative to the start of the struct, rather than a variable.
+    if (ASType === DEFINITION) {
+      return FIELD;
+    }
   
+  } else if (parentType === CATCH) {
+    // The tag in a catch clause is a name, even if it's immediately followed by the list of names for its values (e.g. catch Oops(x) {...}).
+    if (ASType === CALL) {
+      return VARIABLE;
+    }
+
   } else if (parentType === DECLARATION) {
     // Inside an declaration FN becomes FN_SIGNATURE, which means we don't expect a body.
     if (ASType === FN) {
@@ -508,6 +697,10 @@ export function getASType (ASType, parentType) {
       return EXPORT_TYPE;
     }
 
+  } else if (ASType === ADDRESS && parentType !== MEMORY_ACCESS) {
+    // Square brackets that don't follow a pointer aren't a memory address, they're a list literal (e.g. a list of bytes).
+    return LIST;
+
   } else if (ASType === ASSIGN && parentType === ROOT) {
     // Finally, assignments in the global scope are initializer expressions, which can't take dynamically computed values on the right.
     return INIT_EXPR;
@@ -17,6 +17,8 @@
   The runType associated with a WebBS expression is roughly the type of value that it pushes on to the stack upon being executed (if any).
   So the possible runTypes include "i32", "i64", "f32", "f64" and "void".
   The "void" runType means that the expression has no effect on the stack, or only consumes stack values, but doesn't push anything on top.
+  Expressions that push several values (calls to functions with multiple return types and tuples, e.g. (a, b)) have a tuple runType,
+    which lists the types of those values in order, e.g. "(i32, f32)" - see tupleType() below.
 
   We also use runTypes to represent things that don't immediately affect the stack but have numeric semantics that line up with the stack
     value types (e.g. 32-bit integer immediates are identified with an "i32" type, even though they don't touch the stack).
@@ -29,9 +31,9 @@
     produced in the case where execution continues forward normally (not the stack value produced on a branch out of a block/function).
 */
 
-import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
+import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
 import {CompileError} from "/WebBS/compiler/compileError.js";
-import {operatorTable} from "/WebBS/compiler/operatorTable.js";
+import {builtinTable, operatorTable} from "/WebBS/compiler/operatorTable.js";
 
 /*
   This function implements the semantic validation stage.
@@ -76,9 +78,16 @@ export function validate (node, valueRequired) {
       }
     
       node.meta = opInfo;
+      if (ASType === ADD || ASType === SUB) {
+        // Adding to (or subtracting from) a pointer gives another pointer of the same type (see pointerArithmetic() below).
+        node.meta = {...opInfo, pointer: pointerArithmetic(node)};
+      } else if (ASType !== EQ_COMPARISON && ASType !== ORDER_COMPARISON && children.some((child) => pointerType(child) !== null)) {
+        // Pointers can be compared, but any other arithmetic on one (e.g. p * 2) wouldn't give a meaningful pointer or count.
+        throw new CompileError("Bad Pointer Arithmetic", {node});
+      }
       runType = opInfo.returnType;
     } break;
-    
+
 
     case ALLOCATE_PAGES:
     case UNARY_MATH_OP: {
@@ -104,33 +113,57 @@ export function validate (node, valueRequired) {
         throw new CompileError("Unreachable Code", {node: left, unreachable: node});
       } else if (validate(right, true) !== runType) {
         throw new CompileError("Inconsistent Type For Boolean", {node, leftType: runType, rightType: right.runType});
-      } else if (runType === "void") {
+      } else if (!valueTypes.includes(runType)) {
         throw new CompileError("Non-Numeric Type For Boolean", {node, runType});
       }
     } break;
 
 
+    case ASSERT: {
+      // The condition is checked the same way as an if's, even in release builds where the assert is compiled away.
+      let condition = children[0];
+      validate(condition, true);
+      if (condition.alwaysEscapes) {
+        throw new CompileError("Unreachable Code", {node: condition, unreachable: node});
+      } else if (!valueTypes.includes(condition.runType)) {
+        throw new CompileError("Bad Condition", {node: condition});
+      }
+    } break;
+
+
     case ASSIGN: {
       let [left, right] = children;
-      let leftType = left.meta.runType;
-
-      if (left.ASType === MEMORY_ACCESS) {
-        validate(left, valueRequired);
-        leftType = left.meta.returnType;  // We need .returnType instead of .runType here, because left is a pointer.
-        if (valueRequired) {
+      let leftType;
+
+      if (left.ASType === CONST) {
+        // A constant's value is worked out up front, so there's nothing left to do at run time (see /compiler/functionCodeGen.js).
+        validateConstant(left.meta);
+        break;
+      } else if (left.ASType === MEMORY_ACCESS || left.ASType === FIELD_ACCESS) {
+        // Validating a memory access gives us the type of the value stored in memory, rather than the runType of the pointer (i32).
+        leftType = validate(left, valueRequired);
+        if (left.meta.ASType === CONST) {  // An enum member, e.g. Color.Red.
+          throw new CompileError("Assignment To Immutable", {node});
+        } else if (valueRequired) {
           // Efficiently teeing the value from a memory store requires an anonymous variable - see /compiler/functionCodeGen.js.
           node.meta = {tempVariable: anonymousLocalVariable(node, leftType)};
         }
       } else if (left.ASType !== DEFINITION && !left.meta.mutable) {
         // Initial assignment to an immutable is OK, so DEFINITION passes the check above, but we bounce other references out.
         throw new CompileError("Assignment To Immutable", {node});
+      } else {
+        leftType = left.meta.runType;
       }
 
       validate(right, true);
       if (right.alwaysEscapes) {
         throw new CompileError("Unreachable Code", {node: right, unreachable: node});
-      } if (right.runType !== leftType) {
+      } else if (right.runType !== leftType && left.ASType === FIELD_ACCESS) {
+        throw new CompileError("Field Type Mismatch", {node: left, right});
+      } else if (right.runType !== leftType) {
         throw new CompileError("Assignment Type Mismatch", {left: left.ASType === DEFINITION ? left.children[0] : left, right, runType: leftType});
+      } else if ((left.ASType === DEFINITION || left.ASType === VARIABLE) && !pointerAssignable(left.meta, right)) {
+        throw new CompileError("Pointer Type Mismatch", {node: right, pointer: left.meta, source: pointerType(right)});
       }
       
       runType = leftType;
@@ -166,13 +199,8 @@ export function validate (node, valueRequired) {
 
     case BREAK:
     case YIELD: {
-      let loop = findAncestorOfType(node, LOOP);
-      if (loop === null) { // Make sure we're inside of a loop.
-        throw new CompileError("Misplaced Break/Yield/Continue", {node});
-      }
-      
-      loop.meta.yieldPoints.push(node);
-      node.meta = {jumpTarget: loop}; // Technically, we jump to a block containing the loop, but code generation will take care of that.
+      // Technically, we jump to a block containing the loop, but code generation will take care of that.
+      jumpTarget(node).meta.yieldPoints.push(node);
       node.alwaysEscapes = true;
       
       if (children.length === 1) {  // YIELD will have a child, BREAK won't.
@@ -185,6 +213,86 @@ export function validate (node, valueRequired) {
     } break;
 
 
+    case BUILTIN_CALL: {
+      let builtin = builtinTable[token.text];
+      let args = children[0].children;
+      let data = null;  // The definition of the passive data segment named by the arguments, if any.
+      let storage = null;  // The storage type information for the memory location accessed by an atomic built-in, if any.
+      let pointer = null;  // The pointer type information for a "pointer" argument, if any.
+
+      if (builtin.store === "memory" && scope.defaultMemory.length !== 1) {
+        throw new CompileError("No Memory Defined For Builtin", {node});
+      } else if (builtin.store === "table" && scope.defaultTable.length !== 1) {
+        throw new CompileError("No Table Defined For Builtin", {node});
+      } else if (args.length !== builtin.paramTypes.length) {
+        throw new CompileError("Wrong Number of Arguments", {node: {...node, meta: builtin}, args});
+      }
+
+      // Built-in functions can take some arguments that normal functions can't, so those are checked here (rather than in the parser).
+      for (let i = 0; i < args.length; i++) {
+        let paramType = builtin.paramTypes[i];
+        let arg = args[i];
+        let refType = arg.ASType === VARIABLE ? arg.meta.ASType : null;
+
+        // The parser leaves all references here for us to check (see enforceReferenceSemantics() in /compiler/parser.js).
+        if (arg.ASType === MEMORY_ACCESS && arg.meta.ASType !== PTR) {
+          throw new CompileError("Bad Reference: Not a Pointer", {node: arg});
+        } else if (arg.ASType === CALL && ![FN, FN_PTR, FN_SIGNATURE].includes(arg.meta.ASType)) {
+          throw new CompileError("Bad Reference: Not a Function", {node: arg});
+        }
+
+        if (paramType === "access") {
+          if (arg.ASType !== MEMORY_ACCESS && arg.ASType !== FIELD_ACCESS) {
+            throw new CompileError("Memory Access Required", {node: arg});
+          }
+          validate(arg, true);
+          storage = atomicStorage(arg, builtin);
+          continue;
+        } else if (paramType === "value") {
+          paramType = storage.returnType;  // "value" arguments have the same type as the value in memory.
+        } else if (paramType === "pointer") {
+          paramType = "i32";  // Pointers are i32 values, but we also need to know what they point to (checked below).
+        } else if (paramType === "data") {
+          if (refType !== PASSIVE) {
+            throw new CompileError("Bad Reference: Not a Data Segment", {node: arg});
+          }
+          data = arg.meta;
+          continue;
+        } else if (paramType === "function") {
+          if (refType === FN || refType === FN_SIGNATURE) {
+            // WebAssembly requires functions to be declared before they can be referred to (see generateElementSection()).
+            if (!scope.referencedFunctions.includes(arg.meta)) {
+              scope.referencedFunctions.push(arg.meta);
+            }
+          } else if (refType === null) {
+            throw new CompileError("Function Reference Required", {node: arg});
+          } else if (refType !== FN_PTR) {
+            throw new CompileError("Bad Reference: Not a Function", {node: arg});
+          }
+          continue;
+        } else if (refType === FN || refType === FN_SIGNATURE || refType === PASSIVE || refType === STRUCT || refType === TAG) {
+          throw new CompileError("Bad Reference: Not a Variable", {node: arg});
+        }
+
+        validate(arg, true);
+        if (arg.alwaysEscapes) {
+          throw new CompileError("Unreachable Code", {node: arg, unreachable: node});
+        } else if (arg.runType !== paramType) {
+          throw new CompileError("Function Signature Mismatch", {node, arg, expectedType: paramType});
+        } else if (builtin.paramTypes[i] === "pointer" && (pointer = pointerType(arg)) === null) {
+          throw new CompileError("Pointer Required", {node: arg});
+        }
+      }
+
+      node.meta = {...builtin, args, data, pointer};
+      runType = builtin.returnType;
+      if (storage !== null) {
+        node.meta = {...node.meta, ...atomicOperator(builtin, storage)};
+        runType = node.meta.returnType;
+      }
+    } break;
+
+
     case CALL: {
       let fn = node.meta;
       let args = children[0].children;
@@ -208,26 +316,81 @@ export function validate (node, valueRequired) {
 
       runType = fn.returnType;
     } break;
+
+
+    case CATCH: {
+      // A try with several catch clauses is a chain of CATCH nodes, with the TRY at the bottom of the chain on the left.
+      // Each name listed by the clause is a new variable (see defineCatchNames() in /compiler/parser.js), typed by the matching tag value.
+      let [left, tag, {children: names}, body] = children;
+      runType = validate(left, valueRequired);
+
+      if (names.length !== tag.meta.paramTypes.length) {
+        throw new CompileError("Catch Mismatch", {node, tag});
+      }
+
+      names.forEach((name, i) => {
+        name.meta.runType = tag.meta.paramTypes[i];
+      });
+
+      // Much like an if/else, the try body and catch bodies that don't branch away have to agree on the type of the value they produce.
+      let catchType = validate(body, valueRequired);
+      if (left.alwaysEscapes) {
+        node.alwaysEscapes = body.alwaysEscapes;
+        runType = catchType;
+      } else if (!body.alwaysEscapes && catchType !== runType) {
+        throw new CompileError("Inconsistent Type For Try", {node, left, leftType: runType, catchType});
+      }
+    } break;
+
+
+    case COMPOUND_ASSIGN: {
+      let right = children[1];
+      let leftType = validateUpdateTarget(node, valueRequired);
+      let rightType = validate(right, true);
+      // "x += y" uses the same operator as "x + y", so we look it up without the trailing "=".
+      let opInfo = operatorTable[token.text.slice(0, -1)][`${leftType},${rightType}`];
+
+      if (right.alwaysEscapes) {
+        throw new CompileError("Unreachable Code", {node: right, unreachable: node});
+      } else if (opInfo === undefined) {
+        throw new CompileError("Undefined Operator", {node});
+      } else if (pointerType(children[0]) !== null && (!["+=", "-="].includes(token.text) || pointerType(right) !== null)) {
+        // Like p = p + 3, this can only move a pointer along by an integer (see pointerArithmetic() below).
+        throw new CompileError("Bad Pointer Arithmetic", {node});
+      }
+
+      node.meta.operator = opInfo.operator;
+      runType = leftType;
+    } break;
+
+
+    case CONSTANT: {
+      runType = node.meta.runType;  // Constant expressions are folded before they're validated (see foldConstant() below).
+    } break;
     
     
     case CONTINUE: {
-      let loop = findAncestorOfType(node, LOOP);
-      if (loop === null) { // Make sure we're inside of a loop.
-        throw new CompileError("Misplaced Break/Yield/Continue", {node});
-      }
-      node.meta = {jumpTarget: loop};
+      jumpTarget(node);
       node.alwaysEscapes = true;
     } break;
 
 
+    case DATA_END: {
+      // Its value isn't known until every string and byte list has been validated, so it's filled in during code generation.
+      if (scope.defaultMemory.length !== 1) {
+        throw new CompileError("No Memory Defined For Data", {node});
+      }
+      runType = "i32";
+    } break;
+
+
     case DEFAULT_MEMORY:
     case DEFAULT_TABLE: {
-      let {initialSize, maxSize} = node.meta;
-
-      validate(initialSize, true);
+      let initialSize = node.meta.initialSize = foldSize(node.meta.initialSize);
+      let maxSize = node.meta.maxSize;
       
       if (maxSize.ASType !== VOID) {
-        validate(maxSize, true);
+        maxSize = node.meta.maxSize = foldSize(maxSize);
         if (maxSize.meta.value < initialSize.meta.value) {
           throw new CompileError("Unintelligible Size", {initialSize, maxSize});
         }
@@ -235,6 +398,23 @@ export function validate (node, valueRequired) {
     } break;
 
 
+    case DESTRUCTURE: {
+      // Each name on the left is a new variable (see lowerDestructure() in /compiler/parser.js), typed by the matching value on the right.
+      let [{children: names}, right] = children;
+      let types = resultTypes(validate(right, true));
+
+      if (right.alwaysEscapes) {
+        throw new CompileError("Unreachable Code", {node: right, unreachable: node});
+      } else if (types.length !== names.length) {
+        throw new CompileError("Destructuring Mismatch", {node, right});
+      }
+
+      names.forEach((name, i) => {
+        name.meta.runType = types[i];
+      });
+    } break;
+
+
     case DEFINITION: {
       let spec = children[1];
       validate(spec, false);
@@ -248,7 +428,7 @@ export function validate (node, valueRequired) {
       validate(condition, true);
       if (condition.alwaysEscapes) {
         throw new CompileError("Unreachable Code", {node: condition, unreachable: node});
-      } else if (condition.runType === "void") {
+      } else if (!valueTypes.includes(condition.runType)) {
         // We can coerce any numeric runType into something that works as a condition for the "if", but otherwise we're in trouble.
         throw new CompileError("Bad Condition", {node: condition});
       }
@@ -266,12 +446,20 @@ export function validate (node, valueRequired) {
         } else {
           runType = elseType;
         }
-      } else if (runType !== elseType) {
+      } else if (!elseBody.alwaysEscapes && runType !== elseType) {
         throw new CompileError("Inconsistent Type", {ifNode: children[0], elseNode: node, ifType: runType, elseType});
       }
     } break;
 
 
+    case ENUM: {
+      // Work out the value of every member, whether it gets used or not, so that bad member values are always caught.
+      for (let member of Object.values(node.meta.members)) {
+        validateConstant(member);
+      }
+    } break;
+
+
     case EXPORT: {
       // We populate the global scope's list of exports here.
       // This is done during validation because we had to wait for name resolution to be complete before doing it.
@@ -295,8 +483,16 @@ export function validate (node, valueRequired) {
         definition = child.meta;
       }
       
-      if (definition.mutable) {
-        throw new CompileError("Mutable Export", {node}); // Exporting mutable globals is not allowed in the WebAssembly MVP.
+      if (definition.mutable && scope.strictMVP) {
+        throw new CompileError("Mutable Export", {node: child}); // Exporting mutable globals was not allowed in the WebAssembly MVP.
+      } else if (definition.ASType === STRUCT) {
+        throw new CompileError("Struct Export", {node, definition}); // Struct types only exist at compile time, so there's nothing to export.
+      } else if (definition.ASType === PASSIVE) {
+        throw new CompileError("Data Export", {node, definition}); // WebAssembly has no way to export a data segment.
+      } else if (definition.ASType === CONST || definition.ASType === ENUM) {
+        throw new CompileError("Constant Export", {node, definition}); // Likewise for constants and enums, which are inlined as literals.
+      } else if (definition.runType === "v128" || (definition.paramTypes !== undefined && [...definition.paramTypes, definition.returnType].some((type) => type.includes("v128")))) {
+        throw new CompileError("Vector Export", {node, definition}); // JavaScript hosts can't pass v128 values in or out of WebAssembly.
       }
 
       definition.exportName = name;
@@ -308,13 +504,40 @@ export function validate (node, valueRequired) {
       runType = "f32";
       // TODO: What happens if we get an "x32" and we try to encode a number that can only be represented as a 64 bit float?
       //  The encoder uses DataView.setFloat32 under the covers - investigate how that works.
-      node.meta = {value: parseFloat(token.text.replace("x32", "")), runType};
+      node.meta = {value: floatLiteralValue(token.text), runType};
     } break;
 
 
     case F64_LITERAL: {
       runType = "f64";
-      node.meta = {value: parseFloat(token.text.slice(0, -3)), runType};
+      node.meta = {value: floatLiteralValue(token.text), runType};
+    } break;
+
+
+    case FIELD_ACCESS: {
+      // This is only valid when applied to a pointer to a struct type, e.g. p[i].x where p: ptr Point and Point has a field named x,
+      //  or to an enum, e.g. Color.Red (see the ENUM case above).
+      let access = children[0];
+      if (access.ASType === VARIABLE) {
+        node.meta = validateConstant(enumMember(node));
+        runType = node.meta.runType;
+        break;
+      }
+
+      let struct = access.meta.struct;
+      validate(access, true);
+
+      if (struct === null) {
+        throw new CompileError("Bad Field Access: Not a Struct Pointer", {node, pointer: access});
+      }
+
+      let field = struct.fields[token.text.slice(1)];  // Remove the leading ".".
+      if (field === undefined) {
+        throw new CompileError("Unknown Field", {node, struct});
+      }
+
+      node.meta = {field, pointer: access.meta};
+      runType = field.returnType;
     } break;
 
 
@@ -336,32 +559,28 @@ export function validate (node, valueRequired) {
 
     case I32_LITERAL: {
       // Extract the actual value of the literal here, and throw an error if it's outside of the 32-bit range.
-      let value = parseInt(token.text.replace("x32", ""), 10);  // Remove any unnecessary "x32" suffixes.
+      let value = integerLiteralValue(node);
       
       // The literals here always yield a positive value.
       // But in-place they may be negated (i.e. if the parent node is a negative symbol),
       //  in which case, we use the lower bound for a signed 32-bit integer
       // Otherwise, we just check if they're below the unsigned 32-bit limite.
       let negative = parent.ASType === NEG;
-      if (value > (negative ? 2147483648 : 4294967295)) {
+      if (value > (negative ? 2n ** 31n : 2n ** 32n - 1n)) {
         throw new CompileError("Integer Literal Out of Range", {node, bits: 32});
       }
 
       runType = "i32";
-      node.meta = {value, runType};
+      node.meta = {value: Number(value), runType};
     } break;
 
 
     case I64_LITERAL: {
-      let value = parseInt(token.text.slice(0, -3), 10);  // Remove the "x64" suffix.
+      // Javascript numbers can only represent integers exactly up to 53 bits, so i64 literals keep their value as a BigInt.
+      // The range check works just like it does for I32_LITERAL above.
+      let value = integerLiteralValue(node);
       let negative = parent.ASType === NEG;
-       
-      // Javascript represents all numbers using 64-bit floats.
-      // Long story short, this means that only integers that can fit in the 53 bit coefficient of a 64-bit float can be safely represented.
-      // We could get around this limitation by writing our own numeric literal parser/encoder, or allowing other representations...
-      //  ...but we don't.
-
-      if (!Number.isSafeInteger(negative ? -value : value)) {
+      if (value > (negative ? 2n ** 63n : 2n ** 64n - 1n)) {
         throw new CompileError("Integer Literal Out of Range", {node, bits: 64});
       }
 
@@ -378,7 +597,7 @@ export function validate (node, valueRequired) {
       validate(condition, true);
       if (condition.alwaysEscapes) {
         throw new CompileError("Unreachable Code", {node: condition, unreachable: node});
-      } else if (condition.runType === "void") {
+      } else if (!valueTypes.includes(condition.runType)) {
         // We can coerce any numeric runType into something that works as a condition for the "if", but otherwise we're in trouble.
         throw new CompileError("Bad Condition", {node: condition});
       }
@@ -397,7 +616,7 @@ export function validate (node, valueRequired) {
       spec.meta.importSource = sources;
 
       // We have to check the ranges of integers used in memory/table declarations.
-      if (spec.ASType === DEFAULT_TABLE || spec.ASType === DEFAULT_MEMORY) {
+      if (spec.ASType === DEFAULT_TABLE || spec.ASType === DEFAULT_MEMORY || spec.ASType === SHARED) {
         validate(children[0], true);
       }
     } break;
@@ -405,17 +624,88 @@ export function validate (node, valueRequired) {
 
     case INIT_EXPR: {
       let [left, right] = children;
-      left.meta.initializer = right;
+
+      if (left.ASType === CONST) {
+        validateConstant(left.meta);  // Constants don't take up a global slot, so this is all we need (see the ASSIGN case above).
+        break;
+      } else if (left.ASType === DEFAULT_TABLE) {
+        // The default table can be initialized with a list of functions, which are stored in the table starting at index 0.
+        validate(left, false);
+        if (right.ASType !== LIST) {
+          throw new CompileError("Bad Table Initializer", {node: right});
+        }
+
+        for (let child of right.children) {
+          if (child.ASType !== VARIABLE) {
+            throw new CompileError("Bad Table Initializer", {node: child});
+          } else if (child.meta.ASType !== FN && child.meta.ASType !== FN_SIGNATURE) {
+            throw new CompileError("Bad Reference: Not a Function", {node: child});
+          }
+          left.meta.elements.push(child.meta);
+        }
+
+        if (right.children.length > left.meta.initialSize.meta.value) {
+          throw new CompileError("Too Many Table Elements", {node: right, table: left});
+        }
+        break;
+      }
+
+      if (isConstantExpression(right)) {
+        // WebAssembly only allows a single instruction here, so arithmetic on literals and constants is worked out at compile time.
+        right = left.meta.initializer = foldConstant(right);
+      } else if (![DATA_END, LIST, SIMD_OP, STRING, VARIABLE].includes(right.ASType)) {
+        throw new CompileError("Bad Initializer", {node: right});
+      }
 
       if (validate(right, true) !== left.meta.runType) {
         throw new CompileError("Assignment Type Mismatch", {left, right, runType: left.meta.runType});
+      } else if (!pointerAssignable(left.meta, right)) {
+        throw new CompileError("Pointer Type Mismatch", {node: right, pointer: left.meta, source: pointerType(right)});
       } else if (right.ASType === VARIABLE && (right.meta.imported || right.meta.mutable)) {
-        // Initializers for global variables can only refer to literals or imported immutable globals.
+        // Initializers for global variables can only refer to constants (which are folded above) or imported immutable globals.
+        throw new CompileError("Bad Initializer", {node: right});
+      } else if (right.ASType === SIMD_OP && right.meta.value === null) {
+        // Likewise, vectors have to be constant, i.e. built entirely out of constant expressions (see the SIMD_OP case below).
         throw new CompileError("Bad Initializer", {node: right});
       }
     } break;
 
     
+    case LABEL: {
+      runType = validate(children[0], valueRequired);
+      node.alwaysEscapes = children[0].alwaysEscapes;
+    } break;
+
+
+    case LENGTH_OF: {
+      // The length of a string or byte list is known at compile time, so this doesn't require storing anything in a data segment.
+      // The same goes for a passive data segment, whose bytes are given by the string or byte list in its definition.
+      let child = children[0];
+      if (child.ASType === VARIABLE) {
+        if (child.meta.ASType !== PASSIVE) {
+          throw new CompileError("Bad Reference: Not a Data Segment", {node: child});
+        }
+        child = child.meta.source;
+      }
+      runType = "i32";
+      node.meta = {value: literalBytes(child).length, runType};
+    } break;
+
+
+    case LIST:
+    case STRING: {
+      // Used as an expression, a string or byte list is stored in a data segment, and evaluates to the address at which it's stored.
+      if (scope.defaultMemory.length !== 1) {
+        throw new CompileError("No Memory Defined For Data", {node});
+      }
+
+      let bytes = literalBytes(node);
+      let segment = dataSegment(scope, bytes, ASType === STRING ? token.text : `[${bytes.join(", ")}]`, false);
+      runType = "i32";
+      node.meta = {value: segment.offset, runType, segment};
+    } break;
+
+    
     case LOOP: {
       let yieldPoints = [];
       let returnPoints = [];
@@ -423,15 +713,22 @@ export function validate (node, valueRequired) {
 
       validate(children[0], false); // valueRequired is false here, because loops only return a value through explicit yields.
 
+      if (children.length === 2) {  // Loops lowered from for loops also have a step expression (see lowerLoop() in /compiler/parser.js).
+        let step = children[1];
+        if (validate(step, false) !== "void") {
+          step.dropValue = true;
+        }
+      }
+
       if (yieldPoints.length === 0) {
         // This loop doesn't yield (or break), so if it doesn't return either, it has no exit condtion.
         if (returnPoints.length === 0) {
           throw new CompileError("Infinite Loop", {node});
         }
-        // If we get here, there's a theoretical exit condition (in the form of a return), so the loop always returns from the function
-        //  (unless it continues forever).
+        // If we get here, there's a theoretical exit condition (in the form of a return or throw), so the loop always escapes from the
+        //  function (unless it continues forever).
         node.alwaysEscapes = true;
-        runType = returnPoints[0].runType; // This is the returnType of the function.
+        runType = findAncestorOfType(node, FN).meta.returnType;
       } else {
         // If there's a yield point, the loop might yield a value (or void).
         //  That determines its runType and we also need to make sure the yielded type is consistent.
@@ -445,10 +742,114 @@ export function validate (node, valueRequired) {
     } break;
 
 
+    case MATCH: {
+      let [value, {children: caseList}] = children;
+
+      validate(value, true);
+      if (value.alwaysEscapes) {
+        throw new CompileError("Unreachable Code", {node: value, unreachable: node});
+      } else if (value.runType !== "i32") {
+        throw new CompileError("Bad Match Value", {node: value});
+      }
+
+      // Gather the arms of the match, along with their case labels.
+      // An arm with several labels (e.g. 1, 2 => {...}) shows up as bare labels followed by a CASE (see CASE_LIST.CTC in /compiler/syntax.js).
+      let arms = [];
+      let defaultArm = null;
+      let labelNodes = Object.create(null); // Maps case values to the labels that define them, so we can catch duplicates.
+      let labels = [];
+      let defaultLabel = null;
+      let isDefault = false;
+
+      for (let child of caseList) {
+        let label = child.ASType === CASE ? child.children[0] : child;
+
+        if (label.ASType === DEFAULT_CASE) {
+          if (defaultLabel !== null) {
+            throw new CompileError("Duplicate Default Case", {first: defaultLabel, second: label});
+          }
+          defaultLabel = label;
+          isDefault = true;
+        } else {
+          label = foldConstant(label);
+          if (label.runType !== "i32") {
+            throw new CompileError("Bad Match Value", {node: label});
+          }
+          let labelValue = label.meta.value | 0;  // Literals above the signed 32-bit range wrap around, like they do everywhere else.
+          if (labelNodes[labelValue] !== undefined) {
+            throw new CompileError("Duplicate Case", {first: labelNodes[labelValue], second: label});
+          }
+          labelNodes[labelValue] = label;
+          labels.push(labelValue);
+        }
+
+        if (child.ASType === CASE) {
+          let arm = {body: child.children[1], labels};
+          if (isDefault) {
+            defaultArm = arm; // Any other labels on the default arm are redundant, since those values end up there anyway.
+          } else {
+            arms.push(arm);
+          }
+          labels = [];
+          isDefault = false;
+        }
+      }
+
+      // Much like an if/else, the match only produces a value if there's a default arm, and the arms that don't branch away have to agree
+      //  on its type. And if every arm branches away (including a default arm), so does the entire match.
+      let allArms = defaultArm === null ? arms : [...arms, defaultArm];
+      let typedBody = null;
+      node.alwaysEscapes = defaultArm !== null;
+
+      for (let {body} of allArms) {
+        let bodyType = validate(body, valueRequired && defaultArm !== null);
+        if (typedBody === null) {
+          runType = bodyType;
+        }
+
+        if (!body.alwaysEscapes) {
+          node.alwaysEscapes = false;
+          if (typedBody === null) {
+            typedBody = body;
+            runType = bodyType;
+          } else if (bodyType !== runType) {
+            throw new CompileError("Inconsistent Type For Match", {node, first: typedBody, second: body});
+          }
+        }
+      }
+
+      // Dense case labels are dispatched with a branch table, indexed by the matched value minus the smallest label.
+      // Sparse labels would make for a huge table though, so in that case code generation compares the value against each label in turn.
+      let caseValues = arms.flatMap((arm) => arm.labels);
+      let min = caseValues.length === 0 ? 0 : Math.min(...caseValues);
+      let max = caseValues.length === 0 ? -1 : Math.max(...caseValues);
+      let table = null;
+      let tempVariable = null;
+
+      if (max - min < 4 * caseValues.length) {
+        table = new Array(max - min + 1).fill(arms.length); // Values that aren't matched by any arm go to the default arm.
+        arms.forEach((arm, armIndex) => {
+          for (let labelValue of arm.labels) {
+            table[labelValue - min] = armIndex;
+          }
+        });
+      } else {
+        tempVariable = anonymousLocalVariable(node, "i32");
+      }
+
+      node.meta = {arms, defaultArm, min, table, tempVariable};
+    } break;
+
+
     case MEMORY_ACCESS: {
       let [address, offsetProvided] = children[0].children;
       runType = node.meta.returnType;
 
+      if (node.meta.struct !== null && parent.ASType !== FIELD_ACCESS) {
+        // A struct isn't a value, so accessing one through a pointer only makes sense as part of a field access (e.g. p[i].x).
+        throw new CompileError("Missing Field", {node});
+      }
+
       validate(address, true);
       if (address.alwaysEscapes) {
         throw new CompileError("Unreachable Code", {node: address, unreachable: node});
@@ -457,13 +858,25 @@ export function validate (node, valueRequired) {
       }
 
       if (offsetProvided !== undefined) {
-        validate(offsetProvided, true);  // Trigger integer literal parsing.
+        foldSize(offsetProvided);
       }
     } break;
 
 
     case NEG: {
-      runType = validate(children[0], true);
+      let child = children[0];
+      runType = validate(child, true);
+
+      if (child.alwaysEscapes) {
+        throw new CompileError("Unreachable Code", {node: child, unreachable: node});
+      } else if (runType !== "i32" && runType !== "i64" && runType !== "f32" && runType !== "f64") {
+        throw new CompileError("Undefined Operator", {node});
+      }
+
+      // Negated numeric literals are folded into a single constant (their range checks take the negation into account - see above).
+      // Anything else is negated at run time: floats have a dedicated instruction, and integers are subtracted from zero.
+      let isLiteral = [F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL].includes(child.ASType);
+      node.meta = {isLiteral, operator: runType[0] === "f" ? `${runType}.neg` : `${runType}.sub`};
     } break;
 
 
@@ -475,7 +888,7 @@ export function validate (node, valueRequired) {
         throw new CompileError("Unreachable Code", {node: left, unreachable: node});
       } if (validate(right, true) !== runType) {
         throw new CompileError("Inconsistent Type For Boolean", {node, leftType, rightType});
-      } else if (runType === "void") {
+      } else if (!valueTypes.includes(runType)) {
         throw new CompileError("Non-Numeric Type For Boolean", {node, runType});
       }
 
@@ -489,6 +902,14 @@ export function validate (node, valueRequired) {
     } break;
 
 
+    case PASSIVE: {
+      // Passive data segments aren't copied into memory when the module is instantiated, only when memory_init is called.
+      let source = children[0];
+      let bytes = literalBytes(source);
+      node.meta.segment = dataSegment(scope, bytes, source.ASType === STRING ? source.token.text : `[${bytes.join(", ")}]`, true);
+    } break;
+
+
     case PTR: {
       if (scope.defaultMemory.length !== 1) {
         throw new CompileError("No Memory Defined For Pointer", {node});
@@ -496,6 +917,25 @@ export function validate (node, valueRequired) {
     } break;
 
 
+    case PTR_CAST: {
+      // A pointer holds the index of the value it points to, so the index is rescaled to keep the same address in memory
+      //  (e.g. if p: ptr i32 = 10, then p as ptr i32_u8 is 40). See /compiler/functionCodeGen.js.
+      let [source, ptr] = children;
+      validate(source, true);
+      validate(ptr, false);
+      let pointer = pointerType(source);
+
+      if (source.alwaysEscapes) {
+        throw new CompileError("Unreachable Code", {node: source, unreachable: node});
+      } else if (pointer === null) {
+        throw new CompileError("Pointer Required", {node: source});
+      }
+
+      node.meta.sourceSize = pointer.storageSize;
+      runType = "i32";
+    } break;
+
+
     case RETURN: {
       if (children.length === 1) {  // Return values are optional.
         let child = children[0];
@@ -506,9 +946,13 @@ export function validate (node, valueRequired) {
       }
       
       // Ascend to the containing function, and note any loops escaped along the way.
+      // We also note whether we're returning from inside a try body, where a tail call would escape the try's catch clauses.
+      let inTry = false;
       for (var ancestor = node.parent; ancestor.ASType !== FN; ancestor = ancestor.parent) {
         if (ancestor.ASType === LOOP) {
           ancestor.meta.returnPoints.push(node);
+        } else if (ancestor.ASType === TRY) {
+          inTry = true;
         }
       }
 
@@ -516,6 +960,10 @@ export function validate (node, valueRequired) {
         throw new CompileError("Explicit Return Type Mismatch", {node, definition: ancestor.meta, runType});
       }
 
+      // Returning the result of a call can reuse the current stack frame, since the call's return type is already known to match.
+      // Tail calls aren't part of the WebAssembly MVP, so strict mode sticks to an ordinary call followed by a return.
+      node.meta = {tailCall: children.length === 1 && children[0].ASType === CALL && !inTry && !scope.strictMVP};
+
       node.alwaysEscapes = true;
     } break;
     
@@ -527,17 +975,135 @@ export function validate (node, valueRequired) {
     } break;
 
 
+    case SHARED: {
+      // Shared memories can't be moved when they grow (other threads might be using them), so they need a maximum size up front.
+      let memory = children[0];
+      validate(memory, false);
+      if (memory.meta.maxSize.ASType === VOID) {
+        throw new CompileError("Shared Memory Without Maximum Size", {node});
+      }
+    } break;
+
+
+    case SIMD_OP: {
+      let args = children[0].children;
+      let types = [];
+      for (let arg of args) {
+        types.push(validate(arg, true));
+        if (arg.alwaysEscapes) {
+          throw new CompileError("Unreachable Code", {node: arg, unreachable: node});
+        }
+      }
+
+      // The lexer accepts some names that aren't actually SIMD operators (e.g. i8x16_div), so the first lookup can fail too.
+      let opInfo = (operatorTable[token.text] || {})[types.join(",")];
+      if (opInfo === undefined) {
+        throw new CompileError("Undefined Operator", {node, args});
+      }
+
+      for (let i of opInfo.laneArgs || []) {
+        if (!isConstantExpression(args[i])) {
+          throw new CompileError("Bad Lane Index", {node: args[i], laneLimit: opInfo.laneLimit});
+        }
+        args[i] = foldConstant(args[i]);
+        if (args[i].meta.value < 0 || args[i].meta.value >= opInfo.laneLimit) {
+          throw new CompileError("Bad Lane Index", {node: args[i], laneLimit: opInfo.laneLimit});
+        }
+      }
+
+      // A vector constructor whose lanes are all constants is folded into a single constant.
+      let value = null;
+      if (opInfo.shape !== undefined && args.every((arg) => isConstantExpression(arg))) {
+        args = args.map(foldConstant);
+        value = laneBytes(opInfo.shape, args.map((arg) => arg.meta.value));
+      }
+
+      node.meta = {...opInfo, args, value};
+      runType = opInfo.returnType;
+    } break;
+
+
+    case SIZE_OF: {
+      // Sizes and alignments are known at compile time, so like lengths, these are just i32 literals by the time we generate code.
+      // The size of a pointer is the size of the values it points to (e.g. if p: ptr i64_u16, then sizeof(p) is 2), not the pointer's own.
+      let {size, alignment} = sizeAndAlignment(children[0].children[0]);
+      runType = "i32";
+      node.meta = {value: token.text === "sizeof" ? size : alignment, runType};
+    } break;
+
+
     case SUFFIX_OP: {
-      runType = validate(children[0], true);
+      runType = validateUpdateTarget(node, valueRequired);
+    } break;
+
+
+    case THROW: {
+      // The tag is thrown along with its values much like a function is called with its arguments, so the CALL case checks those.
+      let call = children[0];
+      validate(call, false);
+
+      // Throwing escapes from any loops along the way, just like returning does (see the RETURN case above),
+      //  up until it reaches a try that catches the tag.
+      for (let ancestor = parent; ancestor.ASType !== FN; ancestor = ancestor.parent) {
+        if (ancestor.ASType === LOOP) {
+          ancestor.meta.returnPoints.push(node);
+        } else if (ancestor.ASType === TRY && catchesTag(ancestor, call.meta)) {
+          break;
+        }
+      }
+
+      node.alwaysEscapes = true;
+    } break;
+
+
+    case TRY: {
+      let body = children[0];
+      runType = validate(body, valueRequired);
+      node.alwaysEscapes = body.alwaysEscapes;
+    } break;
+
+
+    case TUPLE: {
+      let types = [];
+      for (let child of children) {
+        let childType = validate(child, true);
+        if (child.alwaysEscapes) {
+          throw new CompileError("Unreachable Code", {node: child, unreachable: node});
+        } else if (!valueTypes.includes(childType) && childType !== "v128") {
+          throw new CompileError("Bad Tuple Value", {node: child});
+        }
+        types.push(childType);
+      }
+      runType = tupleType(types);
+    } break;
+
+
+    case UNREACHABLE: {
+      // This traps at run time, so like a throw, it escapes from any loops along the way and never needs to produce a value.
+      for (let ancestor = parent; ancestor.ASType !== FN; ancestor = ancestor.parent) {
+        if (ancestor.ASType === LOOP) {
+          ancestor.meta.returnPoints.push(node);
+        }
+      }
+
+      node.alwaysEscapes = true;
     } break;
 
 
     case VARIABLE: {
+      if (node.meta.ASType === CONST) {
+        validateConstant(node.meta);  // Constants can be used before they're defined, so this may be the first time we've seen this one.
+      }
       runType = node.meta.runType;
     } break;
 
   } // End of huge switch statement
   
+  if (runType[0] === "(" && needsBlockType(node)) {
+    // Control structures that produce several values need a function signature to use as their block type (see /compiler/byteCode.js).
+    node.blockTypeIndex = functionSignatureIndex(scope, [], runType);
+  }
+
   node.runType = runType;
   return runType;
 }
@@ -549,6 +1115,134 @@ export function validate (node, valueRequired) {
 
 
 const importSourceSplitter = /^"((?:[^"\\/]|\\.)*)\/((?:[^"\\/]|\\.)*)"$/;  // This is used by the IMPORT case above.
+const escapeSequence = /\\(x[\da-fA-F]{2}|.)/g;  // These are used by unescape() below.
+const escapeCharacters = {"0": "\0", "n": "\n", "r": "\r", "t": "\t"};
+const stringEscape = /(\\(?:x[\da-fA-F]{2}|.))/;  // This is used by literalBytes() below.
+const valueTypes = ["i32", "i64", "f32", "f64"];
+const typeBits = /\d+$/;  // This is used by sizeAndAlignment() below.
+const integerLiteral = /^(?:0x([\da-fA-F_]+?)|0b([01_]+?)|([\d_]+)|'(.+)')(?:x32|x64)?$/;  // This is used by integerLiteralValue() below.
+const UTF8Encoder = new TextEncoder();
+
+// These are used by isConstantExpression() and constantValue() below.
+const constantASTypes = [CONSTANT, F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL, SIZE_OF];
+const foldableASTypes = [ADD, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, NEG, SCALE_OP, SUB];
+const checkedOperations = ["add", "sub", "mul", "div_s"];  // The integer operations that can overflow.
+const floatOperations = {
+  add: (left, right) => left + right,
+  sub: (left, right) => left - right,
+  mul: (left, right) => left * right,
+  div: (left, right) => left / right
+};
+const shiftCount = (count, bits) => BigInt.asUintN(bits, count) % BigInt(bits);  // Shift counts wrap around, just like they do at run time.
+const integerOperations = {
+  add: (left, right) => left + right,
+  sub: (left, right) => left - right,
+  mul: (left, right) => left * right,
+  div_s: (left, right) => left / right,  // BigInt division truncates towards zero, just like WebAssembly's does.
+  div_u: (left, right, bits) => BigInt.asUintN(bits, left) / BigInt.asUintN(bits, right),
+  rem_s: (left, right) => left % right,
+  rem_u: (left, right, bits) => BigInt.asUintN(bits, left) % BigInt.asUintN(bits, right),
+  and: (left, right) => left & right,
+  or: (left, right) => left | right,
+  xor: (left, right) => left ^ right,
+  shl: (left, right, bits) => left << shiftCount(right, bits),
+  shr_s: (left, right, bits) => left >> shiftCount(right, bits),
+  shr_u: (left, right, bits) => BigInt.asUintN(bits, left) >> shiftCount(right, bits),
+  rotl: (left, right, bits) => integerOperations.rotr(left, BigInt(bits) - shiftCount(right, bits), bits),
+  rotr: (left, right, bits) => {
+    let value = BigInt.asUintN(bits, left);
+    let count = shiftCount(right, bits);
+    return (value >> count) | (value << (BigInt(bits) - count));
+  }
+};
+
+
+/*
+  WebAssembly modules have a list of function signatures, referred to by numeric index.
+  This function takes the components of a function signature (its parameters and return type) finds or creates an entry in that list,
+    and returns the relevant index.
+*/
+export function functionSignatureIndex (scope, paramTypes, returnType) {
+  let signature = [returnType, ...paramTypes];
+  let signatureKey = signature.join(",");
+  let index = scope.functionSignatureIndexMap[signatureKey];
+  if (index === undefined) {
+    index = scope.functionSignatureIndexMap[signatureKey] = scope.functionSignatures.length;
+    scope.functionSignatures.push(signature);
+  }
+  return index;
+}
+
+
+/*
+  This returns the runType of an expression that pushes values with the given list of types on to the stack.
+*/
+export function tupleType (types) {
+  if (types.length === 0) {
+    return "void";
+  } else if (types.length === 1) {
+    return types[0];
+  } else {
+    return `(${types.join(", ")})`;
+  }
+}
+
+
+/*
+  This does the opposite of tupleType(), returning the list of types of the values pushed on to the stack by an expression.
+*/
+export function resultTypes (runType) {
+  if (runType === "void") {
+    return [];
+  } else if (runType[0] === "(") {
+    return runType.slice(1, -1).split(", ");
+  } else {
+    return [runType];
+  }
+}
+
+
+/*
+  This checks whether a node is generated as a control structure with a block type (see the blockType method in /compiler/byteCode.js).
+  Blocks and parentheticals are unwrapped wherever they can be, so they only need one some of the time (see the BLOCK case in
+    /compiler/functionCodeGen.js).
+*/
+function needsBlockType ({ASType, children, parent}) {
+  if (ASType === BLOCK || ASType === PAREN) {
+    return children.length > 1 && ![CATCH, ELSE, FN, IF, LOOP, TRY].includes(parent.ASType);
+  }
+  return [CATCH, ELSE, LOOP, MATCH].includes(ASType);
+}
+
+
+/*
+  COMPOUND_ASSIGN and SUFFIX_OP both load a value, change it and store it back where it came from.
+  This validates that location (the first child of the node) and returns its runType.
+  Only numeric values can be updated this way; vectors are changed with SIMD operators instead (e.g. v = i32x4_add(v, w)).
+*/
+function validateUpdateTarget (node, valueRequired) {
+  let target = node.children[0];
+  let runType = validate(target, true);
+  let addressVariable = null;
+  let tempVariable = null;
+
+  if (!valueTypes.includes(runType)) {
+    throw new CompileError("Bad Update Type", {node, target});
+  } else if (target.meta.ASType === CONST) {
+    throw new CompileError("Assignment To Immutable", {node});
+  } else if (target.ASType === MEMORY_ACCESS || target.ASType === FIELD_ACCESS) {
+    // The address is only calculated once, so it has to be kept in an anonymous variable, to be used by both the load and the store.
+    addressVariable = anonymousLocalVariable(node, "i32");
+    if (valueRequired) {
+      tempVariable = anonymousLocalVariable(node, runType);  // This works just like it does for ASSIGN.
+    }
+  } else if (!target.meta.mutable) {
+    throw new CompileError("Assignment To Immutable", {node});
+  }
+
+  node.meta = {addressVariable, tempVariable};
+  return runType;
+}
 
 
 /*
@@ -582,6 +1276,50 @@ function anonymousLocalVariable (node, runType) {
 }
 
 
+/*
+  Data segments are laid out consecutively in the default memory, starting at address 0 (or the dataBase compiler option, if it's set).
+  That's true even if the memory is imported, in which case instantiating the module overwrites whatever the host had stored there.
+    So a host that keeps its own data at the low addresses should set dataBase to move the segments clear of it, and programs can put
+    their own data after the segments, starting at data_end (see dataEnd() below).
+  This function takes the contents of a segment, finds or creates the segment with those contents and returns its definition.
+  Identical strings/byte lists share the same segment, so repeating a string literal doesn't waste memory.
+  Passive segments are only copied into memory by memory_init, wherever the program likes, so they have no address and are never shared.
+*/
+function dataSegment (scope, bytes, description, passive) {
+  let key = bytes.join(",");
+  let segment = passive ? undefined : scope.dataSegmentIndexMap[key];  // Each passive segment is separate, so they're never shared.
+  if (segment === undefined) {
+    segment = {
+      bytes,
+      description,
+      index: scope.dataSegments.length,
+      offset: passive ? null : dataEnd(scope),
+      passive
+    };
+    scope.dataSegments.push(segment);
+    if (!passive) {
+      scope.dataSegmentIndexMap[key] = segment;
+    }
+  }
+  return segment;
+}
+
+
+/*
+  This returns the address just past the last active data segment, which is where the next one goes (and what data_end evaluates to).
+  Passive segments don't take up any space in memory, so they're skipped.
+*/
+export function dataEnd (scope) {
+  let end = scope.dataBase;
+  for (let segment of scope.dataSegments) {
+    if (!segment.passive) {
+      end = segment.offset + segment.bytes.length;
+    }
+  }
+  return end;
+}
+
+
 /*
   This walks up the AST starting with a given node, looking for an ancestor with a given ASType.
 */
@@ -594,3 +1332,452 @@ function findAncestorOfType (initialNode, ASType) {
 
   return null;
 }
+
+
+/*
+  BREAK, CONTINUE and YIELD jump to the nearest enclosing loop, or the loop named by their label, if they have one (e.g. break outer).
+  This records the loop in node.meta and returns it. Jumping to an outer loop escapes from the loops in between, just like returning does
+    (see the RETURN case above), which is noted so that those loops aren't mistaken for infinite loops.
+*/
+function jumpTarget (node) {
+  let label = node.meta === null ? null : node.meta.label; // See the label handling in parse() in /compiler/parser.js.
+  let loop = label === null ? findAncestorOfType(node, LOOP) : label.meta.loop;
+  if (loop === null) { // Make sure we're inside of a loop.
+    throw new CompileError("Misplaced Break/Yield/Continue", {node});
+  }
+
+  for (let ancestor = node.parent; ancestor !== loop; ancestor = ancestor.parent) {
+    if (ancestor.ASType === LOOP) {
+      ancestor.meta.returnPoints.push(node);
+    }
+  }
+
+  node.meta = {jumpTarget: loop, label};
+  return loop;
+}
+
+
+/*
+  This checks whether any of the catch clauses attached to a try (see the CATCH case above) catch the given tag.
+*/
+function catchesTag (tryNode, tag) {
+  for (let left = tryNode, clause = tryNode.parent; clause.ASType === CATCH && clause.children[0] === left; left = clause, clause = clause.parent) {
+    if (clause.children[1].meta === tag) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+
+/*
+  Constant expressions are built out of literals, sizes (e.g. sizeof(i64)), named constants, enum members and immutable globals with
+    constant initializers, combined by arithmetic and bitwise operators (e.g. 64 * 1024, or PAGES + 1). They can be used wherever
+    WebAssembly needs a value up front: global initializers, memory and table sizes, address offsets, case labels, lane indices and byte
+    list items.
+  Each one is folded into a single CONSTANT node during validation (see foldConstant() below).
+
+  This checks whether a node is a constant expression, without validating it. That has to come first, since some expressions can't be
+    validated outside of a function (e.g. a loop in a global initializer).
+  pending lists the definitions whose values we're in the middle of checking, so we can catch constants that are defined in terms of
+    themselves.
+*/
+function isConstantExpression (node, pending = []) {
+  let {ASType, children, meta} = node;
+
+  if (ASType === FIELD_ACCESS) {
+    return children[0].ASType === VARIABLE && isConstantDefinition(node, enumMember(node), pending);
+  } else if (ASType === VARIABLE) {
+    let isConstant = meta.ASType === CONST || (meta.ASType === VALUE_TYPE && meta.isGlobal && !meta.mutable && meta.initializer !== null);
+    return isConstant && isConstantDefinition(node, meta, pending);
+  } else if (ASType === PAREN) {
+    return children.length === 1 && isConstantExpression(children[0], pending);
+  }
+
+  return constantASTypes.includes(ASType) || (foldableASTypes.includes(ASType) && children.every((child) => isConstantExpression(child, pending)));
+}
+
+
+/*
+  This checks whether the definition referred to by node has a constant value.
+  An enum member without an initializer gets its value from the member before it, so that has to be checked instead.
+*/
+function isConstantDefinition (node, definition, pending) {
+  if (pending.includes(definition)) {
+    throw new CompileError("Circular Constant Definition", {node});
+  } else if (definition.initializer !== null) {
+    return isConstantExpression(definition.initializer, [...pending, definition]);
+  }
+  return definition.previous === null || isConstantDefinition(node, definition.previous, [...pending, definition]);
+}
+
+
+/*
+  This replaces a constant expression in the AST with a CONSTANT node holding its value, and returns that node.
+  i32 values are plain numbers, and i64 values are BigInts (like they are for literals), but unlike literals they're always signed.
+*/
+function foldConstant (node) {
+  if (node.ASType === CONSTANT) {
+    return node;  // Already folded (constants can be validated more than once - see constantValue() below).
+  } else if (!isConstantExpression(node)) {
+    throw new CompileError("Constant Expression Required", {node});
+  }
+
+  let runType = validate(node, true);
+  let value = constantValue(node);
+  let folded = {...node, ASType: CONSTANT, meta: {value: runType === "i32" ? Number(value) : value, runType}};
+  let siblings = node.parent.children;
+  siblings[siblings.indexOf(node)] = folded;
+  return folded;
+}
+
+
+/*
+  This works out the value of a validated constant expression. Integers are computed exactly, as BigInts.
+  Floating point arithmetic follows the usual IEEE rules, but integer arithmetic that overflows (and division by zero) is an error,
+    rather than wrapping around (or trapping) like it would at run time. Bit shifts and rotations are still allowed to wrap.
+  Literals above the signed range (e.g. 0xFFFF_FFFF) wrap around to negative values, which is fine on their own or as bit masks,
+    but would hide an overflow in arithmetic (e.g. 3000000000 + 0), so they're an error there too.
+*/
+function constantValue (node) {
+  let {ASType, children, meta, runType} = node;
+  let bits = Number(runType.slice(1));
+  let integer = runType[0] === "i";
+
+  if (ASType === VARIABLE && meta.ASType !== CONST) {
+    // Validating the global's definition folds its initializer (see the INIT_EXPR case above), if that hasn't happened already.
+    validate(meta.initializer.parent, false);
+    return constantValue(meta.initializer);
+  } else if (ASType === PAREN) {
+    return constantValue(children[0]);
+  } else if (ASType === NEG && meta.isLiteral) {
+    // Negated literals are range checked with the negation in mind (see the I32_LITERAL case above), so they can't be treated as 0 - x.
+    return integer ? -BigInt(children[0].meta.value) : -children[0].meta.value;
+  } else if (!foldableASTypes.includes(ASType)) {  // Literals, as well as named constants and enum members, which have been validated.
+    return integer ? BigInt.asIntN(bits, BigInt(meta.value)) : meta.value;
+  }
+
+  // Negation is treated as subtraction from zero (which gives the right sign for floating point zeros as well, as long as it's -0).
+  let [left, right] = ASType === NEG ? [integer ? 0n : -0, constantValue(children[0])] : children.map(constantValue);
+  let operation = ASType === NEG ? "sub" : meta.operator.split(".")[1];
+
+  if (integer && checkedOperations.includes(operation)) {
+    for (let operand of children) {
+      let literal = operand;
+      while (literal.ASType === PAREN) {
+        literal = literal.children[0];
+      }
+      if ((literal.ASType === I32_LITERAL || literal.ASType === I64_LITERAL) && BigInt(literal.meta.value) >= 2n ** BigInt(bits - 1)) {
+        throw new CompileError("Constant Overflow", {node: literal, bits});
+      }
+    }
+  }
+
+  if (!integer) {
+    let result = floatOperations[operation](left, right);
+    return runType === "f32" ? Math.fround(result) : result;
+  } else if ((operation.startsWith("div") || operation.startsWith("rem")) && right === 0n) {
+    throw new CompileError("Division By Zero", {node});
+  }
+
+  let result = integerOperations[operation](left, right, bits);
+  if (checkedOperations.includes(operation) && BigInt.asIntN(bits, result) !== result) {
+    throw new CompileError("Constant Overflow", {node, bits});
+  }
+  return BigInt.asIntN(bits, result);
+}
+
+
+/*
+  This works out the value of a named constant or enum member, if that hasn't been done already, and returns its definition.
+*/
+function validateConstant (definition) {
+  let {initializer, previous} = definition;
+
+  if (definition.value !== null) {
+    return definition;
+  } else if (initializer !== null) {
+    initializer = definition.initializer = foldConstant(initializer);
+    if (initializer.runType !== "i32" && initializer.parent.ASType === MEMBER) {
+      throw new CompileError("Bad Enum Value", {node: initializer});
+    }
+    definition.value = initializer.meta.value;
+    definition.runType = initializer.runType;
+  } else if (previous === null) {
+    definition.value = 0;
+    definition.runType = "i32";
+  } else if (validateConstant(previous).value === 2147483647) {
+    throw new CompileError("Constant Overflow", {node: {token: definition.token}, bits: 32});
+  } else {
+    definition.value = previous.value + 1;
+    definition.runType = "i32";
+  }
+
+  return definition;
+}
+
+
+/*
+  This returns the definition of the enum member named by a FIELD_ACCESS node, e.g. Color.Red.
+*/
+function enumMember (node) {
+  let definition = node.children[0].meta;
+  let member = definition.members[node.token.text.slice(1)];  // Remove the leading ".".
+  if (member === undefined) {
+    throw new CompileError("Unknown Enum Member", {node, definition});
+  }
+  return member;
+}
+
+
+/*
+  Memory and table sizes and address offsets are constant expressions (usually just literals), but they have to be non-negative i32 values.
+*/
+function foldSize (node) {
+  let folded = foldConstant(node);
+  if (folded.runType !== "i32" || folded.meta.value < 0) {
+    throw new CompileError("Bad Size Or Offset", {node: folded});
+  }
+  return folded;
+}
+
+
+/*
+  This returns the bytes that a string literal or byte list stores in memory, as an array of numbers.
+  Strings are UTF8 encoded (without a terminating null byte), and may contain the escape sequences \0, \n, \r and \t.
+  They may also contain \x followed by two hex digits, which stands for a single byte with that value (so it needn't be valid UTF8).
+  Any other character preceded by a backslash stands for itself (e.g. \" or \\).
+*/
+function literalBytes (node) {
+  if (node.ASType === STRING) {
+    // Splitting on escape sequences puts them at the odd indices, so the \x ones can be kept as raw bytes rather than encoded.
+    return node.token.text.slice(1, -1).split(stringEscape).flatMap((piece, i) => {
+      return (i % 2 === 1 && piece.length === 4) ? [parseInt(piece.slice(2), 16)] : Array.from(UTF8Encoder.encode(unescape(piece, node)));
+    });
+  }
+
+  // Otherwise, we've got a byte list.
+  return node.children.map((child) => {
+    if (!isConstantExpression(child)) {
+      throw new CompileError("Bad Byte List Item", {node: child});
+    }
+    child = foldConstant(child);
+    if (child.runType !== "i32") {
+      throw new CompileError("Bad Byte List Item", {node: child});
+    } else if (child.meta.value < 0 || child.meta.value > 255) {
+      throw new CompileError("Byte Value Out of Range", {node: child});
+    }
+    return child.meta.value;
+  });
+}
+
+
+/*
+  Atomic built-in functions (e.g. atomic_add(p[i], 1)) work on a value in memory, accessed through a pointer just like p[i] normally is.
+  This returns the storage type information for that value, after checking that the access meets WebAssembly's requirements:
+    only integers can be accessed atomically, and the address has to be aligned to the size of the value (which the pointer guarantees,
+    unless it's thrown off by an explicit offset).
+  atomic_wait and atomic_notify only work on full-sized i32 and i64 values.
+*/
+function atomicStorage (access, builtin) {
+  let pointerAccess = access.ASType === FIELD_ACCESS ? access.children[0] : access;
+  let storage = access.ASType === FIELD_ACCESS ? access.meta.field : access.meta;
+  let offsetProvided = pointerAccess.children[0].children[1];
+
+  if (storage.returnType !== "i32" && storage.returnType !== "i64") {
+    throw new CompileError("Bad Storage Type For Atomic", {node: access, storage});
+  } else if ((builtin.atomic === "wait" || builtin.atomic === "notify") && storage.extendedType) {
+    throw new CompileError("Bad Storage Type For Atomic", {node: access, storage});
+  } else if (offsetProvided !== undefined && offsetProvided.meta.value % storage.storageSize !== 0) {
+    throw new CompileError("Misaligned Atomic Access", {node: offsetProvided, storage});
+  }
+  return storage;
+}
+
+
+/*
+  This picks the WebAssembly operator for an atomic built-in function, based on the storage type of the value it accesses,
+    and returns it along with the alignment hint to use with it and the built-in's actual return type.
+  WebAssembly only has zero-extending atomic operators for values smaller than their runType, so signed values are sign-extended afterwards.
+*/
+function atomicOperator (builtin, storage) {
+  let {atomic} = builtin;
+  let {returnType, extendedType, storageBits, storageSigned, storageSize} = storage;
+  let narrow = extendedType ? storageBits : "";
+  let operator;
+
+  if (atomic === "notify") {
+    operator = "memory.atomic.notify";
+  } else if (atomic === "wait") {
+    operator = `memory.atomic.wait${returnType.slice(1)}`;
+  } else if (atomic === "load") {
+    operator = `${returnType}.atomic.load${extendedType ? `${storageBits}_u` : ""}`;
+  } else if (atomic === "store") {
+    operator = `${returnType}.atomic.store${narrow}`;
+  } else {
+    operator = `${returnType}.atomic.rmw${narrow}.${atomic}${extendedType ? "_u" : ""}`;
+  }
+
+  let valueReturned = builtin.returnType === "value";
+  return {
+    operator,
+    alignment: atomic === "notify" ? 2 : Math.log2(storageSize),  // Atomic accesses must use their natural alignment (notify's is 4 bytes).
+    signExtension: valueReturned && storageSigned === "s" ? `${returnType}.extend${storageBits}_s` : null,
+    returnType: valueReturned ? returnType : builtin.returnType
+  };
+}
+
+
+/*
+  This returns the pointer type information (see define() in /compiler/parser.js) for an expression that gives a pointer, or null.
+  Pointers are plain i32 values at run time, so this is how we keep track of what they point to as they're passed around.
+*/
+function pointerType (node) {
+  let {ASType, children, meta} = node;
+
+  if (ASType === VARIABLE || ASType === PTR_CAST) {
+    return meta.ASType === PTR ? meta : null;
+  } else if (ASType === ADD || ASType === SUB) {
+    return meta.pointer;
+  } else if (ASType === PAREN && children.length !== 0) {
+    return pointerType(children[children.length - 1]);
+  }
+  return null;
+}
+
+
+/*
+  This returns the pointer type produced by adding or subtracting with a pointer, or null for ordinary arithmetic.
+  Pointers hold the index of the value they point to rather than its address, so p + 3 points 3 values further along, however big they are.
+  Subtracting one pointer from another counts the values between them, so they have to point to the same type, and the result isn't a pointer.
+*/
+function pointerArithmetic (node) {
+  let [left, right] = node.children.map(pointerType);
+
+  if (left === null && right === null) {
+    return null;
+  } else if (node.ASType === SUB && left !== null && right !== null && sameTarget(left, right)) {
+    return null;
+  } else if (left !== null && right !== null || node.ASType === SUB && left === null) {
+    throw new CompileError("Bad Pointer Arithmetic", {node});
+  }
+  return left === null ? right : left;
+}
+
+
+/*
+  This checks that a value can be assigned to the given definition - pointers can only be assigned pointers that point to the same type
+    (or plain integers), since a pointer to another type would hold an index on a different scale. Casts (e.g. p as ptr i32) rescale it.
+*/
+function pointerAssignable (definition, value) {
+  let pointer = pointerType(value);
+  return definition.ASType !== PTR || pointer === null || sameTarget(definition, pointer);
+}
+
+
+/*
+  This checks whether two pointer types point to the same type of value.
+*/
+function sameTarget (pointer, other) {
+  return pointer.storageType === other.storageType && pointer.struct === other.struct;
+}
+
+
+/*
+  This returns the size and alignment (in bytes) of the type measured by sizeof or alignof, given the type or name that follows them.
+  Values are aligned to their own size, and structs to the size of their largest field (see structLayout() in /compiler/parser.js).
+*/
+function sizeAndAlignment (operand) {
+  let definition = operand.meta;
+  let type = operand.token.text;
+
+  if (operand.ASType === VARIABLE) {
+    if (definition.ASType === STRUCT) {
+      return {size: definition.size, alignment: definition.alignment};
+    } else if (definition.ASType === PTR && definition.struct !== null) {
+      return {size: definition.struct.size, alignment: definition.struct.alignment};
+    } else if (definition.ASType === PTR) {
+      type = definition.storageType;
+    } else if (definition.ASType === CONST || definition.ASType === ENUM || definition.runType === "void") {
+      throw new CompileError("Bad Size Operand", {node: operand});
+    } else {
+      type = definition.runType;
+    }
+  }
+
+  let size = Number.parseInt(typeBits.exec(type)[0]) / 8;  // e.g. 2 for i64_u16, or 16 for v128.
+  return {size, alignment: size};
+}
+
+
+/*
+  This returns the bytes of a constant vector with the given lane shape (e.g. "i32x4"), built from a list of lane values.
+  Lane values are stored little-endian, and integers that don't fit in their lanes are truncated, just like they are when stored to memory.
+*/
+function laneBytes (shape, values) {
+  let view = new DataView(new ArrayBuffer(16));
+  let setter = {i8x16: "setInt8", i16x8: "setInt16", i32x4: "setInt32", i64x2: "setBigInt64", f32x4: "setFloat32", f64x2: "setFloat64"}[shape];
+  let laneSize = 16 / values.length;
+  values.forEach((value, i) => view[setter](i * laneSize, value, true));
+  return Array.from(new Uint8Array(view.buffer));
+}
+
+
+/*
+  This replaces the escape sequences in the contents of a string or character literal with the characters they stand for.
+  A \x escape gives a character's code point in hex (e.g. '\x41' is 'A'), and has to have exactly two hex digits.
+*/
+function unescape (text, node) {
+  return text.replace(escapeSequence, (match, char) => {
+    if (char[0] === "x") {
+      if (char.length === 1) {
+        throw new CompileError("Bad Escape Sequence", {node});
+      }
+      return String.fromCodePoint(parseInt(char.slice(1), 16));
+    }
+    return char in escapeCharacters ? escapeCharacters[char] : char;
+  });
+}
+
+
+/*
+  This returns the value of an integer literal (as a BigInt), which may be written in decimal, hexadecimal, binary or as a quoted character.
+  The lexer has already checked the format, so all that's left is to strip the "_" separators and any x32/x64 suffix.
+  The lexer tries the hexadecimal and binary forms before decimal (so 0x64 is 100), and so does the pattern used here.
+  0x32 and 0x64 on their own used to be read as a zero with a suffix, so rather than quietly change their meaning, we reject them.
+*/
+function integerLiteralValue (node) {
+  let [, hex, binary, decimal, character] = integerLiteral.exec(node.token.text);
+
+  if (node.token.text === "0x32" || node.token.text === "0x64") {
+    throw new CompileError("Ambiguous Integer Literal", {node});
+  } else if (character !== undefined) {
+    let characters = Array.from(unescape(character, node));  // Array.from splits by code point, rather than by UTF-16 code unit.
+    if (characters.length !== 1) {
+      throw new CompileError("Bad Character Literal", {node});
+    }
+    return BigInt(characters[0].codePointAt(0));
+  } else if (hex !== undefined) {
+    return BigInt(`0x${hex.replace(/_/g, "")}`);
+  } else if (binary !== undefined) {
+    return BigInt(`0b${binary.replace(/_/g, "")}`);
+  } else {
+    return BigInt(decimal.replace(/_/g, ""));
+  }
+}
+
+
+/*
+  This returns the value of a floating point literal, which may have an exponent, or be one of the special values nan and inf.
+*/
+function floatLiteralValue (text) {
+  let body = text.replace(/_/g, "").replace(/x(?:32|64)$/, "");
+  if (body === "nan") {
+    return NaN;
+  } else if (body === "inf") {
+    return Infinity;
+  } else {
+    return parseFloat(body);
+  }
+}
@@ -1,4 +1,4 @@
-import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
+import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
 import {lexify} from "/WebBS/compiler/lexer.js";
 import {parse} from "/WebBS/compiler/parser.js";
 import {generateModule} from "/WebBS/compiler/moduleCodeGen.js";
@@ -17,6 +17,7 @@ export class Editor {
     this.editHistory = []; // Edit history (for "undo" functionality).
     this.redoStack = [];  // For "redo" functionality; reset upon change.
     this.module = null; // If we successfully compile a WebAssembly module, we store it here so we can instantiate it when needed.
+    this.compilerOptions = {dataBase: 0, debug: true, strictMVP: false};  // Passed along to the parser (see parse() in /compiler/parser.js).
     this.DOMNodes = { // Some useful DOM nodes.
       buildButton: document.getElementById("build-button"),
       bytecode: document.getElementById("bytecode"),
@@ -95,8 +96,9 @@ export class Editor {
     this.disableTab("parse-tree");
     let root;
     try {
-      root = parse(this.tokens);  // Parse the tokens from the lexer into a WebBS AST.
+      root = parse(this.tokens, this.compilerOptions);  // Parse the tokens from the lexer into a WebBS AST.
       this.updateParseTreeTab(root); // Update and re-enable the AST tab.
+      showDocComments(root);  // Hovering over a reference to something with a doc comment shows the comment.
     } catch (error) {  
       this.showErrorMessage(error);
       return;
@@ -222,6 +224,22 @@ export class Editor {
     The default module dependency provider looks like this:
 
     WebBSEditor.moduleDependencyProvider = ${this.moduleDependencyProvider.toSource()};
+
+    The compiler can reject importing or exporting mutable globals (which the original WebAssembly MVP didn't allow), and compile returned calls
+      as ordinary calls rather than tail calls, if you set:
+
+    WebBSEditor.compilerOptions.strictMVP = true;
+
+    That's all it checks, though - other features that MVP-only engines lack (e.g. SIMD, bulk memory or exceptions) still compile.
+
+    Strings and byte lists are stored in the default memory starting at address 0, even if the memory is imported.
+      If your imports keep their own data at the start of the memory, you can have the compiler store them after it instead, e.g.
+
+    WebBSEditor.compilerOptions.dataBase = 1024;
+
+    Asserts are checked at run time by default. To make a release build, where they're compiled away, set:
+
+    WebBSEditor.compilerOptions.debug = false;
     `);
 
     return "Good Luck!";
@@ -645,6 +663,21 @@ function createParseTreeView  (node) {
 }
 
 
+/*
+  This recursively finds all definitions and references with a doc comment (see /compiler/parser.js),
+    and sets the comment as the tooltip text for the corresponding token in the editor.
+*/
+function showDocComments (node) {
+  let {ASType, children, meta} = node;
+  if (meta !== null && typeof meta.docComment === "string") {
+    // For definitions, the name is more useful than the ":" (and likewise for constants, enums and enum members).
+    let token = [CONST, DEFINITION, ENUM, MEMBER].includes(ASType) ? children[0].token : node.token;
+    token.DOMNode.title = meta.docComment;
+  }
+  children.forEach(showDocComments);
+}
+
+
 /*
   Given an edit specification object, return another that exactly reverses the effects of the specified edit operation.
   This is used by .undo() and .redo() in the Editor class above. 
@@ -724,15 +757,16 @@ const categories = {
   "":           [END_OF_INPUT, ROOT],
   "address":    [ADDRESS, ADDRESS_CLOSE, PTR],
   "bad-token":  [BAD_TOKEN],
-  "block":      [BLOCK, BLOCK_CLOSE],
-  "default":    [CALL, MEMORY_ACCESS, VARIABLE],
+  "block":      [BLOCK, BLOCK_CLOSE, CASE_LIST, MEMBER_LIST],
+  "default":    [CALL, FIELD_ACCESS, LABEL, MEMORY_ACCESS, VARIABLE],
   "fn":         [FN, FN_SIGNATURE, FN_PTR],
+  "doc-comment": [DOC_COMMENT],
   "ignore":     [COMMA, COMMENT, SEMICOLON],
-  "keyword":    [ALLOCATE_PAGES, AS, BREAK, CONTINUE, ELSE, EXPORT, FROM, IF, IMPORT, LOOP, PAGES_ALLOCATED, PASS, RETURN, YIELD],
-  "literal":    [F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL, STRING],
-  "operator":   [ADD, AND, ASSIGN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, DECLARATION, DEFINITION, EQ_COMPARISON, INIT_EXPR, MISC_INFIX, NEG, OR, ORDER_COMPARISON, SCALE_OP, SUB, SUFFIX_OP, UNARY_MATH_OP],
-  "paren":      [ARG_LIST, PARAM_LIST, PAREN, PAREN_CLOSE, TYPE_LIST],
-  "type":       [DEFAULT_MEMORY, DEFAULT_TABLE, IMMUTABLE, STORAGE_TYPE, VALUE_TYPE, VOID],
+  "keyword":    [ALLOCATE_PAGES, AS, ASSERT, BREAK, BUILTIN_CALL, CATCH, CONST, CONTINUE, DATA_END, DEFAULT_CASE, ELSE, EXPORT, FOR, FROM, IF, IMPORT, LENGTH_OF, LOOP, MATCH, PAGES_ALLOCATED, PASS, PTR_CAST, RETURN, SIZE_OF, THROW, TRY, UNREACHABLE, WHILE, YIELD],
+  "literal":    [CONSTANT, F32_LITERAL, F64_LITERAL, I32_LITERAL, I64_LITERAL, LIST, STRING],
+  "operator":   [ADD, AND, ASSIGN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, CASE, COMPOUND_ASSIGN, DECLARATION, DEFINITION, DESTRUCTURE, EQ_COMPARISON, FIELD, INIT_EXPR, MEMBER, MISC_INFIX, NEG, OR, ORDER_COMPARISON, SCALE_OP, SIMD_OP, SUB, SUFFIX_OP, UNARY_MATH_OP],
+  "paren":      [ARG_LIST, FIELD_LIST, NAME_LIST, PARAM_LIST, PAREN, PAREN_CLOSE, TUPLE, TYPE_LIST],
+  "type":       [DEFAULT_MEMORY, DEFAULT_TABLE, ENUM, IMMUTABLE, MUTABLE, PASSIVE, SHARED, STORAGE_TYPE, STRUCT, TAG, VALUE_TYPE, VOID],
   "ws":         [WS]
 };
 
@@ -14,9 +14,10 @@
 
   TODO: Using string names for error message types is a bad idea (typos cause problems, etc.) - this should be refactored.
 */
-import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, CALL, COMMA, COMMENT, CONTINUE, DECLARATION, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, ELSE, END_OF_INPUT, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FN, FN_PTR, FN_SIGNATURE, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LOOP, MEMORY_ACCESS, MISC_INFIX, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PTR, RETURN, ROOT, SCALE_OP, SEMICOLON, STRING, STORAGE_TYPE, SUB, SUFFIX_OP, TYPE_LIST, UNARY_MATH_OP, VALUE_TYPE, VARIABLE, VOID, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
+import { /* ALL_ASTYPES */ ADD, ADDRESS, ADDRESS_CLOSE, ALLOCATE_PAGES, AND, ARG_LIST, AS, ASSERT, ASSIGN, BAD_TOKEN, BITWISE_AND, BITWISE_OR, BITWISE_SHIFT, BITWISE_XOR, BLOCK, BLOCK_CLOSE, BREAK, BUILTIN_CALL, CALL, CASE, CATCH, CASE_LIST, COMMA, COMMENT, COMPOUND_ASSIGN, CONST, CONSTANT, CONTINUE, DATA_END, DECLARATION, DEFAULT_CASE, DEFAULT_MEMORY, DEFAULT_TABLE, DEFINITION, DESTRUCTURE, DOC_COMMENT, ELSE, END_OF_INPUT, ENUM, EQ_COMPARISON, EXPORT, EXPORT_TYPE, F32_LITERAL, F64_LITERAL, FIELD, FIELD_ACCESS, FIELD_LIST, FN, FN_PTR, FN_SIGNATURE, FOR, FROM, I32_LITERAL, I64_LITERAL, IF, IMMUTABLE, IMPORT, INIT_EXPR, LABEL, LENGTH_OF, LIST, LOOP, MATCH, MEMBER, MEMBER_LIST, MEMORY_ACCESS, MISC_INFIX, MUTABLE, NAME_LIST, NEG, OR, ORDER_COMPARISON, PAGES_ALLOCATED, PARAM_LIST, PAREN, PAREN_CLOSE, PASS, PASSIVE, PTR, PTR_CAST, RETURN, ROOT, SCALE_OP, SEMICOLON, SHARED, SIMD_OP, SIZE_OF, STRING, STORAGE_TYPE, STRUCT, SUB, SUFFIX_OP, TAG, THROW, TRY, TUPLE, TYPE_LIST, UNARY_MATH_OP, UNREACHABLE, VALUE_TYPE, VARIABLE, VOID, WHILE, WS, YIELD /* END_ALL_ASTYPES */ } from "/WebBS/compiler/syntax.js";
 import {CompileError} from "/WebBS/compiler/compileError.js";
 import {lexify} from "/WebBS/compiler/lexer.js";
+import {operatorTable} from "/WebBS/compiler/operatorTable.js";
 
 
 /*
@@ -38,6 +39,11 @@ export function generateErrorMessage (error) {
         return msg`Addresses must have type ${R("i32")}, but this${ref(token)} expression appears to have type ${R(node.runType)}.`;
       }
 
+      case "Ambiguous Integer Literal": {
+        let suffix = token.text.slice(1);
+        return msg`${codeRef(token)} is ambiguous: it could be a zero with an ${R(suffix)} suffix, or the hexadecimal number ${R(token.text)}. Write ${R(suffix === "x32" ? "0" : "0x0x64")} for zero, or ${R(`${token.text}x32`)} (or ${R(`${token.text}x64`)}) for the hexadecimal number.`;
+      }
+
       case "Assignment Type Mismatch": {
         return msg`Assignment type mismatch!\n\nThe variable ${codeRef(data.left.token)} has type ${R(data.runType)}, whereas the expression at ${ref(data.right.token)} has type ${R(data.right.runType)}.`;      
       }
@@ -46,22 +52,69 @@ export function generateErrorMessage (error) {
         return msg`Can't assign to ${code(node.children[0].token)} at ${ref(token)} because ${code(node.children[0].token)} is immutable.`;
       }
       
+      case "Bad Byte List Item": {
+        return msg`Byte lists can only contain integer constants, not whatever this${ref(token)} is.`;
+      }
+
+      case "Bad Character Literal": {
+        return msg`A character literal has to contain exactly one character (or escape sequence, e.g. ${R("'\\n'")}), unlike this one${ref(token)}.`;
+      }
+      
       case "Bad Condition": {
-        return msg`The value of ${codeRef(token)} is used as the condition of an ${R("if")} but its type can't be interpreted as a Boolean (all ${R("if")} conditions must have a numeric type).`;
+        let keyword = node.parent.ASType === ASSERT ? "assert" : "if";
+        return msg`The value of ${codeRef(token)} is used as the condition of an ${R(keyword)} but its type can't be interpreted as a Boolean (all ${R(keyword)} conditions must have a numeric type).`;
       }
       
+      case "Bad Enum Value": {
+        return msg`Enum members can only have ${R("i32")} values, but this${ref(token)} expression appears to have type ${R(node.runType)}.`;
+      }
+
+      case "Bad Escape Sequence": {
+        return msg`A ${R("\\x")} escape sequence needs exactly two hex digits after it (e.g. ${R("\\x7F")}), unlike the one in this${ref(token)} literal.`;
+      }
+
+      case "Bad Field Access: Not a Struct Pointer": {
+        return msg`Can't access the field ${codeRef(token)} here, because ${codeRef(data.pointer.token)} doesn't point to a struct.`;
+      }
+
       case "Bad Import Source": {
         return msg`Import sources need to have the form ${R("\"MODULE/FIELD\"")}. I don't know what to make of ${codeRef(token)}.`;
       }
 
       case "Bad Initializer": {
-        return msg`In the WebAssembly MVP, global variables can only be initialized with numeric literals or references to immutable imported variables.\n\n${codeRef(token)} is not an immutable imported variable.`;
+        if (node.ASType === SIMD_OP) {
+          return msg`Global vectors can only be initialized with constant vectors, i.e. vector constructors (e.g. ${R("i32x4(1, 2, 3, 4)")}) whose arguments are all constant expressions.\n\nThis${ref(token)} vector isn't constant.`;
+        }
+        if (node.ASType !== VARIABLE) {
+          return msg`Global variables can only be initialized with constant expressions (e.g. ${R("64 * 1024")}), strings, byte lists, constant vectors or immutable imported variables, not whatever this${ref(token)} is.`;
+        }
+        return msg`In the WebAssembly MVP, global variables can only be initialized with constant expressions or references to immutable imported variables.\n\n${codeRef(token)} is not an immutable imported variable.`;
+      }
+
+      case "Bad Lane Index": {
+        return msg`Lane indices have to be ${R("i32")} constants from ${R("0")} up to (but not including) ${data.laneLimit}, not whatever this${ref(token)} is.`;
+      }
+
+      case "Bad Match Value": {
+        return msg`Only ${R("i32")} values can be matched, but this${ref(token)} expression appears to have type ${R(node.runType)}.`;
       }
 
       case "Bad Placement for Function Definition": {
         return msg`Can't define a function here${ref(token)} - try moving the definition to the global scope.`;
       }
 
+      case "Bad Placement for Tag Definition": {
+        return msg`Can't define a tag here${ref(token)} - try moving the definition to the global scope.`;
+      }
+
+      case "Bad Pointer Arithmetic": {
+        return msg`Pointers can be moved along by adding or subtracting an integer (e.g. ${R("p + 3")} or ${R("p += 3")}), subtracted from each other if they point to the same type (which counts the values between them) and compared, but this${ref(token)} is none of those.`;
+      }
+
+      case "Bad Reference: Not a Data Segment": {
+        return msg`Expected the name of a passive data segment (e.g. ${R('greeting: passive "Hello"')}), not whatever this${ref(token)} is.`;
+      }
+
       case "Bad Reference: Not a Function": {
         return msg`Expected a function, got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
       }
@@ -70,8 +123,96 @@ export function generateErrorMessage (error) {
         return msg`Expected a pointer, got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
       }
 
+      case "Bad Reference: Not an Enum": {
+        return msg`Expected an enum (e.g. ${R("enum Color {Red, Green, Blue}")}), got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
+      }
+
       case "Bad Reference: Not a Variable": {
-        return msg`Expected a variable with a value type (i.e. ${R("i32")}/${R("i64")}/${R("f32")}/${R("f64")}); got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
+        return msg`Expected a variable with a value type (i.e. ${R("i32")}/${R("i64")}/${R("f32")}/${R("f64")}/${R("v128")}); got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
+      }
+
+      case "Bad Reference: Not a Struct": {
+        return msg`Expected a struct type, got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
+      }
+
+      case "Bad Reference: Not a Tag": {
+        return msg`Expected a tag (e.g. ${R("Oops: tag (i32)")}), got ${codeRef(token)} which is a ${typeDescriptor(node)}.`;
+      }
+
+      case "Bad Size Operand": {
+        return msg`Can't measure ${codeRef(token)}, which is a ${typeDescriptor(node)}. ${R("sizeof")} and ${R("alignof")} work on value types, storage types (e.g. ${R("i64_u16")}), struct types and variables (a pointer measures the values it points to).`;
+      }
+
+      case "Bad Size Or Offset": {
+        msg`Memory and table sizes and address offsets have to be non-negative ${R("i32")} constants`;
+        if (node.runType !== "i32") {
+          return msg`, but this${ref(token)} has type ${R(node.runType)}.`;
+        }
+        return msg`, but this${ref(token)} works out to ${R(String(node.meta.value))}.`;
+      }
+
+      case "Bad Storage Type For Atomic": {
+        let {storage} = data;
+        if (storage.returnType !== "i32" && storage.returnType !== "i64") {
+          return msg`Only integers can be accessed atomically, but this${ref(token)} memory location holds a value of type ${R(storage.returnType)}.`;
+        }
+        return msg`${codeRef(data.node.parent.parent.token)} only works on full-sized ${R("i32")} or ${R("i64")} values, but this${ref(token)} memory location has the storage type ${R(storage.storageType)}.`;
+      }
+
+      case "Bad Table Initializer": {
+        return msg`The default table can only be initialized with a list of functions (e.g. ${R("[add, doubleMax]")}), not whatever this${ref(token)} is.`;
+      }
+
+      case "Bad Tuple Value": {
+        return msg`Tuples can only hold numeric or vector values, but this${ref(token)} expression appears to have type ${R(node.runType)}.`;
+      }
+
+      case "Bad Update Type": {
+        return msg`Can't use ${codeRef(token)} on ${codeRef(data.target.token)}, which has type ${R(data.target.runType)}. Operators like ${R("++")} and ${R("+=")} only work on ${R("i32")}/${R("i64")}/${R("f32")}/${R("f64")} values (vectors are changed with SIMD operators, e.g. ${R("v = i32x4_add(v, w)")}).`;
+      }
+
+      case "Byte Value Out of Range": {
+        return msg`The value ${node.ASType === CONSTANT ? R(String(node.meta.value)) : codeRef(token)}${ref(token)} doesn't fit in a single byte. Byte lists can only contain integers in the range ${R("0")} to ${R("255")}.`;
+      }
+
+      case "Catch Mismatch": {
+        return msg`The tag ${codeRef(data.tag.token)} is thrown along with ${data.tag.meta.paramTypes.length} values, but this${ref(token)} catch clause names ${node.children[2].children.length}.`;
+      }
+
+      case "Circular Constant Definition": {
+        return msg`The constant ${codeRef(token)} is defined in terms of itself, so I can't work out its value.`;
+      }
+
+      case "Constant Expression Required": {
+        return msg`This${ref(token)} has to be a constant expression, i.e. something I can work out at compile time. Constant expressions are built out of numeric literals, named constants, enum members and ${R("immutable")} globals with constant initializers, using arithmetic and bitwise operators (e.g. ${R("PAGES * 2 + 1")}).`;
+      }
+
+      case "Constant Export": {
+        return msg`Can't export ${codeRef(data.definition.token)}; constants and enums only exist at compile time (try an ${R("immutable")} global instead).`;
+      }
+
+      case "Constant Overflow": {
+        return msg`The result of this${ref(token)} constant expression doesn't fit in a signed ${data.bits}-bit integer.`;
+      }
+
+      case "Data Export": {
+        return msg`Can't export ${codeRef(data.definition.token)}; data segments can't be exported (but you can export the memory they're copied into).`;
+      }
+
+      case "Destructuring Mismatch": {
+        return msg`This${ref(token)} assignment unpacks ${node.children[0].children.length} values, but the expression at ${ref(data.right.token)} has type ${R(data.right.runType)}.`;
+      }
+
+      case "Division By Zero": {
+        return msg`This${ref(token)} constant expression divides by zero.`;
+      }
+
+      case "Duplicate Case": {
+        return msg`The case ${code(data.second.token)} appears twice in the same ${R("match")}: see ${ref(data.first.token)} and ${ref(data.second.token)}.`;
+      }
+
+      case "Duplicate Default Case": {
+        return msg`This ${R("match")} has two default (${R("else")}) arms: see ${ref(data.first.token)} and ${ref(data.second.token)}.`;
       }
 
       case "Duplicate Default Memory Definition": {
@@ -86,10 +227,26 @@ export function generateErrorMessage (error) {
         return msg`${code(data.first.token)} is defined twice: see ${ref(data.first.token)} and ${ref(data.second.token)}.`;
       }
 
+      case "Duplicate Enum Member": {
+        return msg`The member ${code(data.second.token)} is defined twice in the same enum: see ${ref(data.first.token)} and ${ref(data.second.token)}.`;
+      }
+
+      case "Duplicate Field": {
+        return msg`The field ${code(data.second.token)} is defined twice in the same struct: see ${ref(data.first.token)} and ${ref(data.second.token)}.`;
+      }
+
       case "Explicit Return Type Mismatch": {
         return msg`The function ${codeRef(data.definition.token)} has return type ${R(data.definition.returnType)}, but the expression returned at ${ref(token)} has type ${R(data.runType)}.`
       }
 
+      case "Field Type Mismatch": {
+        return msg`Assignment type mismatch!\n\nThe field ${codeRef(token)} has type ${R(node.meta.field.returnType)} (stored as ${R(node.meta.field.storageType)}), whereas the expression at ${ref(data.right.token)} has type ${R(data.right.runType)}.`;
+      }
+
+      case "Function Reference Required": {
+        return msg`Expected the name of a function or a function pointer here, not whatever this${ref(token)} is.`;
+      }
+
       case "Function Signature Mismatch": {
         return msg`Wrong argument type for call to ${code(token)} at ${ref(data.arg.token)}: expected a value of type ${R(data.expectedType)}; got ${R(data.arg.runType)}.`;
       }
@@ -110,16 +267,20 @@ export function generateErrorMessage (error) {
         return msg`The type of the value produced by this ${codeRef(token)} is inconsistent.\n\nSee here${ref(data.first.token)} and here${ref(data.second.token)}, which yield values of type ${ref(data.first.runType)} and ${ref(data.second.runType)} respectively.`;
       }
 
+      case "Inconsistent Type For Match": {
+        return msg`The type of the value produced by this ${codeRef(token)} expression is inconsistent.\n\nThe arm here${ref(data.first.token)} has type ${R(data.first.runType)}, whereas the arm here${ref(data.second.token)} has type ${R(data.second.runType)}.`;
+      }
+
+      case "Inconsistent Type For Try": {
+        return msg`The type of the value produced by this ${R("try")}/${R("catch")} expression is inconsistent.\n\nThe body before the ${codeRef(token)} clause has type ${R(data.leftType)}, whereas the ${codeRef(token)} body has type ${R(data.catchType)}.`;
+      }
+
       case "Infinite Loop": {
-        return msg`This ${codeRef(token)} contains no ${R("break")}, ${R("yield")} or ${R("return")} statements, and will therefore never terminate.`;
+        return msg`This ${codeRef(token)} contains no ${R("break")}, ${R("yield")}, ${R("return")} or ${R("throw")} statements (that aren't caught inside the loop), and will therefore never terminate.`;
       }
 
       case "Integer Literal Out of Range": {
-        if (data.bits === 32) {
-          return msg`The integer literal ${codeRef(token)} is out of the range that can be encoded as an ${R("i32")}.`;
-        } else {
-          return msg`The integer literal ${codeRef(token)} is out of the range that can be safely encoded by this compiler.\n\nDue to JavaScript limitations, only integers in the range ${Number.MIN_SAFE_INTEGER} to ${Number.MAX_SAFE_INTEGER} can be encoded at this time.`;
-        }
+        return msg`The integer literal ${codeRef(token)} is out of the range that can be encoded as an ${R(`i${data.bits}`)}.`;
       }
 
       case "Integer Out of Range in Code Generation": {
@@ -130,6 +291,10 @@ export function generateErrorMessage (error) {
         return msg`This ${codeRef(token)} appears outside of a ${R("loop")}.`;
       }
 
+      case "Misplaced Byte List": {
+        return msg`This${ref(token)} byte list directly follows another expression. Only pointer variables can be indexed, so to index something like ${R("(p + 3)[0]")}, give it a name first (e.g. ${R("q: ptr i32 = p + 3")}, then ${R("q[0]")}).`;
+      }
+
       case "Misplaced Terminator or Unfinished Expression": {
         if (node.ASType.expectedChildCount === Infinity) {
           if (node.ASType === ROOT) {
@@ -143,11 +308,34 @@ export function generateErrorMessage (error) {
         }
       }
 
+      case "Memory Access Required": {
+        return msg`Expected a memory location accessed through a pointer (e.g. ${R("p[i]")} or ${R("p[i].x")}) here${ref(token)}.`;
+      }
+
+      case "Misaligned Atomic Access": {
+        return msg`Atomic memory accesses have to be aligned to the size of the value they access, so this${ref(token)} offset has to be a multiple of ${data.storage.storageSize}.`;
+      }
+
+      case "Missing Field": {
+        return msg`${codeRef(token)} points to the struct type ${codeRef(node.meta.struct.token)}, so it can only be used to access one of its fields (e.g. ${R(`${token.text}[0].${Object.keys(node.meta.struct.fields)[0]}`)}).`;
+      }
+
+      case "Missing Yield Value": {
+        return msg`This ${codeRef(token)} is followed by ${codeRef(data.label)}, which is taken as the label of the loop to yield from, so there's no value left to yield. To yield a variable that shares its name with a loop label, put it in parentheses (e.g. ${R(`yield (${data.label.text})`)}).`;
+      }
+
       case "Mutable Export": {
-        return msg`Can't export ${codeRef(token)}; all exported globals must be immutable in the WebAssembly MVP.`;
+        return msg`Can't export ${codeRef(token)}; all exported globals must be immutable in the WebAssembly MVP (strict MVP mode is on).`;
+      }
+
+      case "Mutable Import": {
+        return msg`Can't import ${codeRef(token)} as a mutable global; all imported globals must be immutable in the WebAssembly MVP (strict MVP mode is on).`;
       }
 
       case "Mysterious Symbol": {
+        if (data.token.text.startsWith("/*")) { // See lexify() in /compiler/lexer.js.
+          return msg`This block comment${ref(data.token)} is never closed (block comments can be nested, so every ${R("/*")} needs its own ${R("*/")}).`;
+        }
         return msg`I don't know what this${ref(data.token)} is, and I don't like it.`;
       }
 
@@ -155,6 +343,21 @@ export function generateErrorMessage (error) {
         return msg`Can't define a ${codeRef(token)} because no default memory store is defined.`;
       }
 
+      case "No Memory Defined For Builtin": {
+        return msg`Can't use ${codeRef(token)} because no default memory store is defined.`;
+      }
+
+      case "No Memory Defined For Data": {
+        if (node.ASType === DATA_END) {
+          return msg`There's no end of the data to point ${codeRef(token)} at, because no default memory store is defined.`;
+        }
+        return msg`Can't store this${ref(token)} in memory because no default memory store is defined.`;
+      }
+
+      case "No Table Defined For Builtin": {
+        return msg`Can't use ${codeRef(token)} because no default table is defined.`;
+      }
+
       case "No Table Defined For Function Pointer": {
         return msg`Can't define a ${codeRef(token)} because no default table is defined.`;
       }
@@ -167,6 +370,31 @@ export function generateErrorMessage (error) {
         return msg`${codeRef(token)} expressions must operate on numeric values (so they can be interpreted as Booleans), but the sub-expressions here appear to have type ${R(data.runType)}.`;
       }
 
+      case "Pointer Required": {
+        return msg`Expected a pointer here${ref(token)} (e.g. ${R("p")} or ${R("p + 3")}, where ${R("p: ptr i32")}).`;
+      }
+
+      case "Pointer Type Mismatch": {
+        let {pointer, source} = data;
+        return msg`This${ref(token)} points to ${R(source.storageType)} values, but ${codeRef(pointer.token)} is a ${R(`ptr ${pointer.storageType}`)}. Use ${R(`as ptr ${pointer.storageType}`)} to convert it.`;
+      }
+
+      case "Shadowed Loop Label": {
+        return msg`The label ${R(data.second.token.text.slice(0, -1))} is used for two nested loops: see ${ref(data.first.token)} and ${ref(data.second.token)}. Nested loops need different labels, so it's clear which one a ${R("break")}, ${R("continue")} or ${R("yield")} refers to.`;
+      }
+
+      case "Shared Memory Without Maximum Size": {
+        return msg`Shared memories need a maximum size, since they can't be moved when they grow (e.g. ${R("shared default_memory 1 16")}). Replace the ${R("void")} here${ref(node.children[0].children[1].token)} with a maximum size.`;
+      }
+
+      case "Struct Export": {
+        return msg`Can't export ${codeRef(data.definition.token)}; struct types only exist at compile time.`;
+      }
+
+      case "Too Many Table Elements": {
+        return msg`This${ref(token)} list of functions has ${node.children.length} items, which won't fit in the default table defined here${ref(data.table.token)} (its initial size is ${data.table.meta.initialSize.meta.value}).`;
+      }
+
       case "Undefined Operator": {
         return diagnoseOperatorError(msg, node); 
       }
@@ -193,11 +421,23 @@ export function generateErrorMessage (error) {
         return msg`Execution is guaranteed to never return to the code that seems to depend on this${ref(token)} expression.`;
       }
 
+      case "Unknown Field": {
+        return msg`The struct ${codeRef(data.struct.token)} doesn't have a field named ${codeRef(token)}. Its fields are: ${Object.keys(data.struct.fields).join(", ")}.`;
+      }
+
+      case "Unknown Enum Member": {
+        return msg`The enum ${codeRef(data.definition.token)} doesn't have a member named ${codeRef(token)}. Its members are: ${Object.keys(data.definition.members).join(", ")}.`;
+      }
+
       case "Unresolvable Reference": {
         return msg`Can't find a definition for ${codeRef(token)}.`;
       }
 
-      case "Wrong Number Of Arguments": {
+      case "Vector Export": {
+        return msg`Can't export ${codeRef(data.definition.token)}; JavaScript hosts can't pass ${R("v128")} values in or out of WebAssembly, so they couldn't use it.`;
+      }
+
+      case "Wrong Number of Arguments": {
         // TODO: This should probably list the expected arguments.
         return msg`Wrong number of arguments for call to ${codeRef(token)}: expected ${node.meta.paramTypes.length}, got ${data.args.length}.`;
       }
@@ -206,7 +446,8 @@ export function generateErrorMessage (error) {
   } else if (error instanceof WebAssembly.RuntimeError) {
     return {
       type: "WebAssembly Runtime Error",
-      message: `Your program threw a WebAssembly runtime error with the following message:\n\n  "${error.message}"\n\nThis is most likely a bug in the program.`,
+      message: `Your program threw a WebAssembly runtime error with the following message:\n\n  "${error.message}"\n\nThis is most likely a bug in the program.`
+        + (/unreachable/.test(error.message) ? ` It may have come from an "unreachable" statement or a failed "assert" (each assert is labeled with its line number in the Bytecode tab).` : ""),
       references: []
     };
   } else if (error instanceof WebAssembly.CompileError) {
@@ -235,6 +476,16 @@ export function generateErrorMessage (error) {
   This generates an error message for operator misusages.
 */
 function diagnoseOperatorError (msg, node) {
+  if (node.ASType === SIMD_OP) {
+    // SIMD operators are looked up by the types of all of their arguments, so we list the argument types they accept.
+    let signatures = Object.keys(operatorTable[node.token.text] || {});
+    if (signatures.length === 0) {
+      return msg`There's no SIMD operator called ${codeRef(node.token)}. You can find the whole list here: https://mx-scissortail.github.io/WebBS/compiler/operatorTable.js`;
+    }
+    let argTypes = node.children[0].children.map((arg) => arg.runType).join(", ");
+    return msg`The operator ${codeRef(node.token)} takes arguments of type ${R(`(${signatures[0].split(",").join(", ")})`)}, but the arguments here have type ${R(`(${argTypes})`)}.`;
+  }
+
   if (node.ASType.expectedChildCount === 2) {
     let leftType = node.children[0].runType;
     let rightType = node.children[1].runType;
@@ -245,7 +496,9 @@ function diagnoseOperatorError (msg, node) {
 
   msg`The operator ${codeRef(node.token)} is only defined for the following types: \n  `;
 
-  let acceptableTypes = operatorRunTypeConstraints[node.token.text];  
+  // Compound assignments (e.g. +=) have the same constraints as the operator they're built on.
+  let operator = node.ASType === COMPOUND_ASSIGN ? node.token.text.slice(0, -1) : node.token.text;
+  let acceptableTypes = operatorRunTypeConstraints[operator];  
   
   for (let runType of acceptableTypes) {
     msg`${R(runType)} `;
@@ -270,12 +523,15 @@ function diagnoseCTCError (msg, {node, child, position}) {
       if (node.children.length === 0) {
         return msg`Missing address for pointer here${ref(token)}.`;
       } else {
-        return msg`Unintelligible pointer address starting here${ref(token)}. The format is ${R("[ADDRESS]")} or ${R("[ADDRESS; OFFSET]")}, where ${R("OFFSET")} is an optional 32-bit integer literal.`;
+        return msg`Unintelligible pointer address starting here${ref(token)}. The format is ${R("[ADDRESS]")} or ${R("[ADDRESS; OFFSET]")}, where ${R("OFFSET")} is an optional 32-bit integer constant.`;
       }
     }
 
     case ASSIGN: {
-      return msg`The left-hand side of an assignment can only be a variable (including pointers and function pointers), a variable definition or a memory location.`;
+      if (node.children[0].ASType === TUPLE) {
+        return msg`Only plain names can appear on the left-hand side of a destructuring assignment (e.g. ${R("(q, r) = divmod(x, y)")}), not whatever this${ref(child.token)} is.`;
+      }
+      return msg`The left-hand side of an assignment can only be a variable (including pointers and function pointers), a variable or constant definition, a memory location or a parenthesized list of names.`;
     }
 
     case AS: {
@@ -286,6 +542,47 @@ function diagnoseCTCError (msg, {node, child, position}) {
       }
     }
 
+    case ASSERT: {
+      return msg`Expected a parenthesized condition here${ref(child.token)} (e.g. ${R("assert (i < length)")}).`;
+    }
+
+    case CASE: {
+      if (position === 0) {
+        return msg`Match arms can only be labeled with integer constants, enum members or ${R("else")} (e.g. ${R("1, -1, Color.Red, (LIMIT + 1) => {...}")}), not whatever this${ref(child.token)} is.`;
+      } else {
+        return msg`Expected a block here${ref(child.token)} to serve as the body for the preceding match arm.`;
+      }
+    }
+
+    case CASE_LIST: {
+      msg`Only match arms (e.g. ${R("0 => {...}")}) may appear in the body of a ${R("match")}`;
+      if (child.ASType === I32_LITERAL || child.ASType === NEG) {
+        return msg`. Did you forget the body for this${ref(child.token)} case?`;
+      } else {
+        return msg`, not whatever this${ref(child.token)} is.`;
+      }
+    }
+
+    case CATCH: {
+      if (position === 0) {
+        return msg`I can't find the ${R("try")} that this ${codeRef(token)} is supposed to be attached to.`;
+      } else if (position === 1) {
+        return msg`Expected the name of a tag here${ref(child.token)}, following ${codeRef(token)}.`;
+      } else if (position === 2) {
+        return msg`Expected a parenthesized list of names for the values thrown along with the tag here${ref(child.token)} (e.g. ${R("catch Oops (code) {...}")}).`;
+      } else {
+        return msg`Expected a block here${ref(child.token)} to serve as the body for the preceding ${R("catch")} clause.`;
+      }
+    }
+
+    case COMPOUND_ASSIGN: {
+      return msg`The left-hand side of ${codeRef(token)} can only be a variable (including pointers and function pointers) or a memory location.`;
+    }
+
+    case CONST: {
+      return msg`Expected a name here${ref(child.token)}, following ${codeRef(token)}.`;
+    }
+
     case DECLARATION:
     case DEFINITION: {
       if (position === 0) {
@@ -298,17 +595,17 @@ function diagnoseCTCError (msg, {node, child, position}) {
 
     case DEFAULT_MEMORY: {
       if (position === 0) {
-        return msg`Expected a 32-bit integer literal here${ref(child.token)}, to specify a minimum size for the default memory store.`;
+        return msg`Expected a 32-bit integer constant here${ref(child.token)}, to specify a minimum size for the default memory store.`;
       } else {
-        return msg`Expected a 32-bit integer literal or ${R("void")} here${ref(child.token)}, to specify a maximum size for the default memory store.`;
+        return msg`Expected a 32-bit integer constant or ${R("void")} here${ref(child.token)}, to specify a maximum size for the default memory store.`;
       }
     }
 
     case DEFAULT_TABLE: {
       if (position === 0) {
-        return msg`Expected a 32-bit integer literal here${ref(child.token)}, to specify a minimum size for the default table.`;
+        return msg`Expected a 32-bit integer constant here${ref(child.token)}, to specify a minimum size for the default table.`;
       } else {
-        return msg`Expected a 32-bit integer literal or ${R("void")} here${ref(child.token)}, to specify a maximum size for the default table.`;
+        return msg`Expected a 32-bit integer constant or ${R("void")} here${ref(child.token)}, to specify a maximum size for the default table.`;
       }
     }
 
@@ -316,7 +613,15 @@ function diagnoseCTCError (msg, {node, child, position}) {
       if (position === 0) {
         return msg`I can't find the ${R("if")} that this ${codeRef(token)} is supposed to be attached to.`;
       } else {
-        return msg`This ${R("else")} needs either a block, another ${R("if")} or a ${R("break")}/${R("continue")} statement for a body here${ref(child.token)}.`;
+        return msg`This ${R("else")} needs either a block, another ${R("if")} or a ${R("break")}/${R("continue")}/${R("unreachable")} statement for a body here${ref(child.token)}.`;
+      }
+    }
+
+    case ENUM: {
+      if (position === 0) {
+        return msg`Expected a name for the enum here${ref(child.token)}, following ${codeRef(token)}.`;
+      } else {
+        return msg`Expected a list of enum members in braces here${ref(child.token)} (e.g. ${R("{Red, Green = 5, Blue}")}).`;
       }
     }
 
@@ -324,11 +629,32 @@ function diagnoseCTCError (msg, {node, child, position}) {
       return msg`Expected an identifier here${ref(child.token)}, following the ${R("export")} keyword.`;
     }
 
+    case FIELD: {
+      if (position === 0) {
+        return msg`Expected a field name here${ref(child.token)}.`;
+      } else {
+        return msg`Expected a storage type (e.g. ${R("f32")}, ${R("i64_u32")}) here${ref(child.token)}, to specify the type of this field.`;
+      }
+    }
+
+    case FIELD_ACCESS: {
+      return msg`Fields can only be accessed through a pointer to a struct (e.g. ${R("p[0].x")}), and members through the name of an enum (e.g. ${R("Color.Red")}), not whatever this${ref(child.token)} is.`;
+    }
+
+    case FIELD_LIST: {
+      msg`Only field definitions (e.g. ${R("x: f32")}) may appear in struct field lists`;
+      if (child.ASType === VARIABLE) {
+        return msg`. Did you forget the type for this${ref(child.token)} field?`;
+      } else {
+        return msg`, not whatever this${ref(child.token)} is.`;
+      }
+    }
+
     case FN: {
       if (position === 0) { 
         return msg`Expected a list of function parameters here${ref(child.token)}.`;
       } else if (position === 1) {
-        return msg`Expected a function return type here${ref(child.token)}.`;
+        return msg`Expected a function return type (or a parenthesized list of return types) here${ref(child.token)}.`;
       } else {
         return msg`Expected a block here${ref(child.token)} to serve as the body for the preceding function definition.`;
       }
@@ -339,7 +665,15 @@ function diagnoseCTCError (msg, {node, child, position}) {
       if (position === 0) { 
         return msg`Expected a list of function parameters types here${ref(child.token)}.`;
       } else {
-        return msg`Expected a function return type here${ref(child.token)}.`;
+        return msg`Expected a function return type (or a parenthesized list of return types) here${ref(child.token)}.`;
+      }
+    }
+
+    case FOR: {
+      if (position === 0) {
+        return msg`Expected a loop header here${ref(child.token)}, in the form ${R("(INIT; CONDITION; STEP)")} (e.g. ${R("(i: i32 = 0; i < 10; i++)")}).`;
+      } else {
+        return msg`Expected a block here${ref(child.token)} to serve as the body for the preceding ${R("for")} loop.`;
       }
     }
 
@@ -351,7 +685,8 @@ function diagnoseCTCError (msg, {node, child, position}) {
       }
     }
 
-    case IMMUTABLE: {
+    case IMMUTABLE:
+    case MUTABLE: {
       return msg`Expected a value type (e.g. ${R("i32")}, ${R("ptr")}) here${ref(child.token)}.`;
     }
 
@@ -366,19 +701,39 @@ function diagnoseCTCError (msg, {node, child, position}) {
     }
 
     case INIT_EXPR: {
+      return msg`Expected a variable or constant definition or ${R("default_table")} to the left of this${ref(token)} global initializer expression.`;
+    }
+
+    case LENGTH_OF: {
+      return msg`Expected a string, a byte list (e.g. ${R("[1, 2, 3]")}) or the name of a passive data segment here${ref(child.token)}, following ${codeRef(token)}.`;
+    }
+
+    case LIST: {
+      return msg`Lists can only contain integer constants (for byte lists) or function names (for table initializers), not whatever this${ref(child.token)} is.`;
+    }
+
+    case LOOP: {
+      return msg`The preceding loop needs a block or an ${R("if")}/${R("else")} here${ref(child.token)}.`;
+    }
+
+    case MATCH: {
       if (position === 0) {
-        return msg`Expected a variable definition to the left of this${ref(token)} global initializer expression.`;
+        return msg`Expected a value to match (try putting parentheses around the expression that starts here${ref(child.token)}).`;
       } else {
-        return msg`Global variables can only be initialized using numeric literals or imported globals, not whatever this${ref(token)} is.`;
+        return msg`Expected a list of match arms in braces here${ref(child.token)} (e.g. ${R("{0 => {...} else => {...}}")}).`;
       }
     }
 
-    case LOOP: {
-      return msg`The preceding loop needs a block or an ${R("if")}/${R("else")} here${ref(child.token)}.`;
+    case MEMBER: {
+      return msg`Expected the name of an enum member here${ref(child.token)}, to the left of ${codeRef(token)}.`;
+    }
+
+    case MEMBER_LIST: {
+      return msg`Only member names, optionally with a value (e.g. ${R("Red")} or ${R("Green = 5")}), may appear in the body of an ${R("enum")}, not whatever this${ref(child.token)} is.`;
     }
 
-    case NEG: {
-      return msg`Expected a numeric literal here${ref(child.token)} (negating other expressions has yet to be implemented).`;
+    case NAME_LIST: {
+      return msg`Only plain names can appear in the list of values caught by a ${R("catch")} clause (e.g. ${R("catch Oops (code, x) {...}")}), not whatever this${ref(child.token)} is.`;
     }
 
     case PARAM_LIST: {
@@ -393,25 +748,69 @@ function diagnoseCTCError (msg, {node, child, position}) {
     }
 
     case ROOT: {
-      return msg`Only definitions and ${R("import")}/${R("export")} statements may appear in the global scope, not whatever this${ref(child.token)} is.`;
+      return msg`Only definitions, enums and ${R("import")}/${R("export")} statements may appear in the global scope, not whatever this${ref(child.token)} is.`;
     }
     
     case TYPE_LIST: {
-      msg`Only parameter types may appear in function parameter lists`;
-      if (child.ASType === DEF_VAR) {
+      if (node.parent.ASType === SIZE_OF) {
+        msg`${codeRef(node.parent.token)} takes exactly one type (e.g. ${R("i64_u16")}), struct type or variable name, in parentheses`;
+        return child === undefined ? msg`.` : msg`, not whatever this${ref(child.token)} is.`;
+      }
+      msg`Only value types may appear in lists of function parameter or return types (or the values thrown along with a tag)`;
+      if (child.ASType === DEFINITION) {
         return msg`. Remove the name from this${ref(child.token)} definition.`;
       } else {
         return msg`, not whatever this${ref(child.token)} is.`;
       }
     }
 
+    case PASSIVE: {
+      return msg`Expected a string or a byte list (e.g. ${R("[1, 2, 3]")}) here${ref(child.token)}, following ${codeRef(token)}.`;
+    }
+
     case PTR: {
-      return msg`Expected a storage type (e.g. ${R("f32")}, ${R("i64_u32")}) here${ref(child.token)}.`;
+      return msg`Expected a storage type (e.g. ${R("f32")}, ${R("i64_u32")}) or the name of a struct type here${ref(child.token)}.`;
+    }
+
+    case PTR_CAST: {
+      return msg`Expected a pointer type (e.g. ${R("ptr i32_u8")}) here${ref(child.token)}, following ${codeRef(token)}. Renaming things with ${codeRef(token)} only works in an ${R("export")} statement.`;
+    }
+
+    case SHARED: {
+      return msg`Only memories can be shared between threads, so I expected ${R("default_memory")} here${ref(child.token)}, following ${codeRef(token)}.`;
+    }
+
+    case STRUCT: {
+      return msg`Expected a parenthesized list of fields (e.g. ${R("(x: f32, y: f32)")}) here${ref(child.token)}.`;
     }
 
     
     case SUFFIX_OP: {
-      return msg`Expected a numeric variable name immediately before ${codeRef(token)}.`;
+      return msg`Expected a numeric variable name or a memory location (e.g. ${R("p[i]")}) immediately before ${codeRef(token)}.`;
+    }
+
+    case TAG: {
+      return msg`Expected a parenthesized list of value types (e.g. ${R("(i32, f32)")}) here${ref(child.token)}, following ${codeRef(token)}.`;
+    }
+
+    case THROW: {
+      return msg`Expected a tag followed by a list of values here${ref(child.token)} (e.g. ${R("throw Oops(404)")}).`;
+    }
+
+    case TRY: {
+      return msg`Expected a block here${ref(child.token)} to serve as the body for the preceding ${R("try")}.`;
+    }
+
+    case TUPLE: {
+      return msg`This${ref(token)} tuple needs at least two values.`;
+    }
+
+    case WHILE: {
+      if (position === 0) {
+        return msg`Expected a parenthesized loop condition here${ref(child.token)}.`;
+      } else {
+        return msg`Expected a block here${ref(child.token)} to serve as the body for the preceding ${R("while")} loop.`;
+      }
     }
   }
 }
@@ -430,20 +829,36 @@ function diagnosePTCError (msg, {node: {ASType, token, parent}}) {
       return msg`Unexpected ${codeRef(token)} outside of an ${R("export")} statement.`;
     }
 
+    case ASSERT:
     case BREAK:
     case CONTINUE:
     case FROM:
+    case PASS:
     case RETURN:
+    case THROW:
+    case UNREACHABLE:
     case YIELD: {
       return msg`I'm not sure what to make of this ${codeRef(token)}.`;
     }
 
+    case CASE: {
+      return msg`Unexpected ${codeRef(token)} outside of a ${R("match")}.`;
+    }
+
+    case CONST: {
+      return msg`The format for constant definitions looks like this:\n\n  ${R("const LIMIT = 100")}`;
+    }
+
     case DEFAULT_MEMORY:
     case DEFAULT_TABLE:
     case EXPORT: {
       return msg`This${ref(token)} sort of definition is only allowed at the top level global scope.`;
     }
 
+    case ENUM: {
+      return msg`Enums like this${ref(token)} can only be defined as statements in a block or the global scope, not in the middle of an expression.`;
+    }
+
     case FN:
     case FN_PTR: {
       return msg`This ${codeRef(token)} should probably appear on the right hand side of a definition (e.g. ${R(`foo: ${token.text} () void`)} ...).`;
@@ -453,24 +868,48 @@ function diagnosePTCError (msg, {node: {ASType, token, parent}}) {
       return msg`The format for immutable variable definitions looks like this:\n\n  ${R("name: immutable i32")}`;
     }
 
+    case MUTABLE: {
+      return msg`Variables are mutable by default, so ${codeRef(token)} is only needed for imported globals, e.g.\n\n  ${R("import counter: mutable i32 from \"env/counter\"")}`;
+    }
+
     case IMPORT: {
       return msg`Import statements like this${ref(token)} are only allowed at the top level global scope.`;
     }
 
+    case PASSIVE: {
+      return msg`This ${codeRef(token)} should probably appear on the right hand side of a definition (e.g. ${R('greeting: passive "Hello"')}).`;
+    }
+
     case PTR: {
-      return msg`This ${codeRef(token)} should probably appear on the right hand side of a definition (e.g. ${R("foo: ptr i32")}).`;
+      return msg`This ${codeRef(token)} should probably appear on the right hand side of a definition (e.g. ${R("foo: ptr i32")}) or a cast (e.g. ${R("foo as ptr i32_u8")}).`;
+    }
+
+    case SHARED: {
+      return msg`The format for shared memory definitions looks like this:\n\n  ${R("shared default_memory 1 16")}\n\nThey're only allowed at the top level global scope (or in an import).`;
     }
 
     case STRING: {
       if (parent.ASType === IMPORT) {
         return msg`Unexpected string ${codeRef(token)}. Did you forget part of the ${R("import")} statement (e.g. ${R("from")})?`;
       } else {
-        return msg`Unexpected string ${codeRef(token)}. Strings are only allowed inside of ${R("import")} and ${R("export")} statements.`;
+        return msg`Unexpected string ${codeRef(token)}. A string stands for the address it's stored at, so it can be assigned (e.g. ${R('s: ptr i32_u8 = "Hi"')}), passed to a function or returned, but not used in other expressions.`;
       }
     }
 
     case STORAGE_TYPE: {
-      return msg`Storage types like this${ref(token)} are only allowed in pointer definitions.`;
+      return msg`Storage types like this${ref(token)} are only allowed in pointer definitions, struct fields and sizes (e.g. ${R("sizeof(i64_u16)")}).`;
+    }
+
+    case STRUCT: {
+      return msg`This ${codeRef(token)} should probably appear on the right hand side of a definition (e.g. ${R("Point: struct (x: f32, y: f32)")}).`;
+    }
+
+    case TAG: {
+      return msg`This ${codeRef(token)} should probably appear on the right hand side of a definition (e.g. ${R("Oops: tag (i32)")}).`;
+    }
+
+    case TRY: {
+      return msg`This ${codeRef(token)} needs at least one ${R("catch")} clause (e.g. ${R("try {...} catch Oops (code) {...}")}).`;
     }
 
     case VALUE_TYPE: {
@@ -557,6 +996,16 @@ function typeDescriptor (node) {
     return "pointer";
   } else if (ASType === FN_PTR) {
     return "function pointer";
+  } else if (ASType === STRUCT) {
+    return "struct type";
+  } else if (ASType === PASSIVE) {
+    return "passive data segment";
+  } else if (ASType === TAG) {
+    return "tag";
+  } else if (ASType === ENUM) {
+    return "list of enum members";
+  } else if (ASType === CONST) {
+    return "constant";
   } else {
     return `variable (<span class="code type">${node.meta.runType}</span>)`;
   }
@@ -607,11 +1056,18 @@ const operatorRunTypeConstraints = {
   "cast_i64":       ["f64"],
   "ceil":           ["f32", "f64"],
   "count_ones":     ["i32", "i64"],
+  "extend16_s":     ["i32", "i64"],
+  "extend32_s":     ["i64"],
+  "extend8_s":      ["i32", "i64"],
   "floor":          ["f32", "f64"],
   "leading_zeros":  ["i32", "i64"],
   "rotate_left":    ["i32", "i64"],
   "rotate_right":   ["i32", "i64"],
   "round":          ["f32", "f64"],
+  "sat_i32":        ["f32", "f64"],
+  "sat_i64":        ["f32", "f64"],
+  "sat_u32":        ["f32", "f64"],
+  "sat_u64":        ["f32", "f64"],
   "sqrt":           ["f32", "f64"],
   "to_f32":         ["i32", "i64", "f64"],
   "to_f64":         ["i32", "i64", "f64"],